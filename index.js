@@ -5,9 +5,36 @@
 // - LINE_CHANNEL_SECRET
 // - OPENAI_API_KEY
 // - OPENAI_MODEL (任意。指定なければ gpt-4o-mini)
+// - LLM_PROVIDER (任意。'openai' | 'azure' | 'openai-compatible' | 'mock'。指定なければ openai)
+//   - azure: AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_API_KEY / AZURE_OPENAI_API_VERSION
+//   - openai-compatible: LLM_BASE_URL / LLM_API_KEY（ローカルの互換サーバーなど）
+//   - mock: LLM_MOCK_FIXTURES（任意。機能ごとの固定出力を書いた JSON ファイル）
+// - LLM_MODEL_<機能> (任意。JA_TO_EN / EN_TO_JA / EMAIL / EMAIL_REPLY / ONE_POINT_LESSON / CANDIDATES / OCR
+//   ごとのモデル。指定なければ OPENAI_MODEL。azure ではデプロイ名)
 // - SUPABASE_URL
 // - SUPABASE_SERVICE_ROLE_KEY
-
+// - STORAGE_BACKEND (任意。'supabase' | 'memory'。指定なければ supabase。memory なら Supabase なしで動く)
+// - TRANSLATION_CACHE_PERSISTENT (任意。'true' なら翻訳結果のキャッシュを translation_cache テーブルにも保存)
+// - TRANSLATION_CACHE_TTL_HOURS (任意。翻訳結果のキャッシュの有効期間。指定なければ 168 時間)
+// - AI_TIMEOUT_MS / AI_MAX_RETRIES / AI_RETRY_BASE_MS (任意。AI 呼び出し 1 回の制限時間・やり直し回数・
+//   やり直しの初回待ち時間。指定なければ 20000 / 2 / 500)
+// - CRON_SECRET (任意。復習リマインドの定期実行 /cron/review-reminders 用)
+// - ADMIN_SECRET (任意。管理用 API と管理画面 /admin 用。x-admin-secret ヘッダーか Basic 認証のパスワードで渡す)
+// - OCR_PROVIDER (任意。'llm' | 'stub'。指定なければ llm（LLM_PROVIDER の画像対応モデルで読む）)
+// - STT_PROVIDER (任意。'openai' | 'fake'。指定なければ openai)
+// - STT_MODEL (任意。指定なければ whisper-1)
+// - TTS_PROVIDER (任意。'openai' | 'fake'。指定なければ openai)
+// - TTS_MODEL / TTS_VOICE (任意。指定なければ tts-1 / alloy)
+// - PUBLIC_BASE_URL (読み上げ音声の配信用。例: https://example.com)
+// - JOB_QUEUE (任意。'memory' | 'inline'。指定なければ memory。inline は Webhook の中で処理を終える)
+// - JOB_CONCURRENCY (任意。memory キューで同時に処理するイベント数。指定なければ 4)
+// - LOADING_DELAY_MS (任意。処理がこれより長引いたらローディング表示を出す。指定なければ 1500)
+// - REPLY_TOKEN_TTL_MS (任意。これより古い返信トークンは使わずプッシュで送る。指定なければ 50000)
+// - LINE_CLIENT (任意。'line' | 'fake'。指定なければ line。fake は LINE に送らず記録するだけ（テスト用）)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
 const express = require('express');
 const { middleware, Client } = require('@line/bot-sdk');
 const { createClient } = require('@supabase/supabase-js');
@@ -22,875 +49,4244 @@ const lineConfig = {
   channelSecret: process.env.LINE_CHANNEL_SECRET,
 };
 
-const lineClient = new Client(lineConfig);
+// LINE_CLIENT=fake なら LINE には送らず、送ろうとしたメッセージを sent に溜める（テスト用）
+// 画像・音声の中身は contents に messageId → { data, contentType } で入れておく
+function createFakeLineClient() {
+  const sent = [];
+  const contents = new Map();
+  return {
+    name: 'fake',
+    sent,
+    contents,
+    async replyMessage(replyToken, messages) {
+      sent.push({ type: 'reply', to: replyToken, messages: [].concat(messages) });
+      return {};
+    },
+    async pushMessage(to, messages) {
+      sent.push({ type: 'push', to, messages: [].concat(messages) });
+      return {};
+    },
+    // SDK と同じく、headers の付いたストリームで返す
+    async getMessageContent(messageId) {
+      const content = contents.get(messageId);
+      if (!content) {
+        throw new Error(`Fake LINE client has no content for message ${messageId}`);
+      }
+      const stream = Readable.from([content.data]);
+      stream.headers = { 'content-type': content.contentType };
+      return stream;
+    },
+    async showLoadingAnimation(chatId) {
+      sent.push({ type: 'loading', to: chatId, messages: [] });
+      return {};
+    },
+  };
+}
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// @line/bot-sdk の旧 Client にはローディング表示がないので Messaging API を直接呼ぶ
+async function startLoadingAnimation(chatId, loadingSeconds) {
+  const res = await fetch('https://api.line.me/v2/bot/chat/loading/start', {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      authorization: `Bearer ${lineConfig.channelAccessToken}`,
+    },
+    body: JSON.stringify({ chatId, loadingSeconds }),
+  });
+  if (!res.ok) {
+    throw new Error(`Loading animation failed: ${res.status} ${await res.text()}`);
+  }
+  return {};
+}
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+function createLineClient(name) {
+  switch (name) {
+    case 'fake':
+      return createFakeLineClient();
+    case 'line':
+    default:
+      return Object.assign(new Client(lineConfig), { showLoadingAnimation: startLoadingAnimation });
+  }
+}
 
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+// 返信トークンの有効期限（公式には約1分。処理時間を見込んで短めに）
+const REPLY_TOKEN_TTL_MS = process.env.REPLY_TOKEN_TTL_MS
+  ? Number(process.env.REPLY_TOKEN_TTL_MS)
+  : 50 * 1000;
 
-// ---------- ユーザー情報（Supabase） ----------
+// replyToken → { to（送り先の userId / groupId / roomId）, receivedAt }。ジョブの実行中だけ登録する
+const replyContexts = new Map();
 
-async function getOrCreateUser(lineUserId) {
-  const { data, error } = await supabase
-    .from('users')
-    .select('*')
-    .eq('line_user_id', lineUserId)
-    .limit(1);
+function isInvalidReplyTokenError(err) {
+  const data = err.originalError && err.originalError.response && err.originalError.response.data;
+  return err.statusCode === 400 && /reply token/i.test(JSON.stringify(data || err.message));
+}
 
-  if (error) {
-    console.error('Supabase select error:', error);
-    throw error;
-  }
+// ハンドラは replyMessage だけ呼べばよいようにする。
+// 返信トークンが古くなっていたら（または LINE に無効と言われたら）同じ内容をプッシュで送る
+function withPushFallback(client) {
+  return {
+    async replyMessage(replyToken, messages) {
+      const context = replyContexts.get(replyToken);
+      if (context && Date.now() - context.receivedAt >= REPLY_TOKEN_TTL_MS) {
+        return client.pushMessage(context.to, messages);
+      }
+
+      try {
+        return await client.replyMessage(replyToken, messages);
+      } catch (err) {
+        if (context && isInvalidReplyTokenError(err)) {
+          return client.pushMessage(context.to, messages);
+        }
+        throw err;
+      }
+    },
+    pushMessage: (to, messages) => client.pushMessage(to, messages),
+    getMessageContent: (messageId) => client.getMessageContent(messageId),
+    showLoadingAnimation: (chatId, seconds) => client.showLoadingAnimation(chatId, seconds),
+  };
+}
+
+const lineApi = createLineClient(process.env.LINE_CLIENT || 'line');
+const lineClient = withPushFallback(lineApi);
 
-  if (data && data.length > 0) {
-    return data[0];
+// OpenAI クライアントは使うときに作る（LLM_PROVIDER=mock ならキーなしでも起動できるように）
+let openaiClient = null;
+function getOpenAiClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
   }
+  return openaiClient;
+}
 
-  // デフォルト値（DB 側の NOT NULL / DEFAULT に依存しない）
-  const now = new Date().toISOString();
-  const newUser = {
-    line_user_id: lineUserId,
-    level_type: 'eiken',           // 'eiken' | 'toeic' | 'rough'
-    level_value: '2',              // '5','4','3','pre2','2','pre1','1' など
-    english_style: 'japanese',     // UI上は固定想定
-    usage_default: 'CHAT_FRIEND',  // 'CHAT_FRIEND' | 'MAIL_INTERNAL' | 'MAIL_EXTERNAL'
-    tone_default: 'polite',        // 'casual' | 'polite' | 'business'
-    created_at: now,
-    updated_at: now,
-  };
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 
-  const { data: inserted, error: insertError } = await supabase
-    .from('users')
-    .insert(newUser)
-    .select('*')
-    .single();
+// ---------- エラーの記録 ----------
+// ログに出すのと一緒に、このプロセスで起きた直近のエラーを管理画面用に残しておく
 
-  if (insertError) {
-    console.error('Supabase insert error:', insertError);
-    throw insertError;
+const RECENT_ERRORS_MAX = 100;
+const recentErrors = [];
+
+function reportError(label, err, details) {
+  if (details === undefined) {
+    console.error(`${label}:`, err);
+  } else {
+    console.error(`${label}:`, err, details);
   }
 
-  return inserted;
+  recentErrors.unshift({
+    label,
+    message: err && err.message ? err.message : String(err),
+    details: details === undefined ? null : details,
+    at: new Date().toISOString(),
+  });
+  if (recentErrors.length > RECENT_ERRORS_MAX) {
+    recentErrors.length = RECENT_ERRORS_MAX;
+  }
 }
 
-async function updateUser(lineUserId, patch) {
-  const now = new Date().toISOString();
-  const { data, error } = await supabase
-    .from('users')
-    .update({ ...patch, updated_at: now })
-    .eq('line_user_id', lineUserId)
-    .select('*')
-    .single();
+// ---------- ストレージ（リポジトリ） ----------
+// ハンドラはテーブルを直接触らず、下のユーザー情報・履歴・単語帳などの関数からこのリポジトリを使う。
+// STORAGE_BACKEND=memory ならプロセス内のメモリだけで動く（ローカル開発・自動テスト用。再起動で消える）
 
+function throwIfSupabaseError(error, label) {
   if (error) {
-    console.error('Supabase update error:', error);
+    console.error(`Supabase ${label} error:`, error);
     throw error;
   }
-  return data;
 }
 
-// ---------- ヘルパー：言語判定 ----------
-
-function detectLanguage(text) {
-  const hasJa = /[一-龯ぁ-んァ-ン]/.test(text);
-  // 英語判定は小文字のみを見る：AI / DB だけで英語扱いしない
-  const hasEn = /[a-z]/.test(text);
-
-  if (hasJa && hasEn) return 'mixed';
-  if (hasJa) return 'ja';
-  if (hasEn) return 'en';
-  return 'other';
+// PostgREST は 1 回の select で max-rows（既定 1000 行）までしか返さない。
+// 集計用に期間内の行を全部読むときは、ページが尽きるまで range を進める。
+// buildQuery は並び順まで付けたクエリを毎回新しく作って返す
+const SUPABASE_PAGE_SIZE = 1000;
+
+async function selectAllPages(buildQuery, label) {
+  const rows = [];
+  for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + SUPABASE_PAGE_SIZE - 1);
+    throwIfSupabaseError(error, label);
+    rows.push(...(data || []));
+    if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
+  }
 }
 
-// ---------- ヘルパー：Quick Reply ----------
-
-function homeButton() {
-  return {
-    type: 'action',
-    action: { type: 'message', label: '🏠 ホーム', text: 'ホーム' },
-  };
+// due_at が未設定の古い行も復習対象に含める
+function dueFilter(now) {
+  return `due_at.is.null,due_at.lte.${now.toISOString()}`;
 }
 
-function settingsButton() {
+function createSupabaseRepository(client) {
   return {
-    type: 'action',
-    action: { type: 'message', label: '⚙️ 設定', text: '設定' },
-  };
-}
+    name: 'supabase',
+
+    // users
+    async findUser(lineUserId) {
+      const { data, error } = await client
+        .from('users')
+        .select('*')
+        .eq('line_user_id', lineUserId)
+        .limit(1);
+      throwIfSupabaseError(error, 'select');
+      return data && data.length > 0 ? data[0] : null;
+    },
 
-// includeHelp = true のときだけ「使い方」も出す
-function baseQuickReplyItems(includeHelp = true) {
-  const items = [homeButton(), settingsButton()];
-  if (includeHelp) {
-    items.push({
-      type: 'action',
-      action: { type: 'message', label: '❓ 使い方', text: '使い方' },
-    });
-  }
-  return items;
-}
+    async insertUser(row) {
+      const { data, error } = await client.from('users').insert(row).select('*').single();
+      throwIfSupabaseError(error, 'insert');
+      return data;
+    },
 
-// 英文生成時のクイックメニュー
-function toneQuickReplyItems() {
-  return [
-    {
-      type: 'action',
-      action: { type: 'message', label: '✨ この英文でOK', text: 'この英文でOK' },
+    async updateUser(lineUserId, patch) {
+      const { data, error } = await client
+        .from('users')
+        .update(patch)
+        .eq('line_user_id', lineUserId)
+        .select('*')
+        .single();
+      throwIfSupabaseError(error, 'update');
+      return data;
     },
-    {
-      type: 'action',
-      action: { type: 'message', label: '😊 カジュアルに', text: 'トーン:カジュアル' },
+
+    // 管理画面用。keyword があれば LINE のユーザー ID で部分一致検索
+    async listUsers({ offset, limit, keyword }) {
+      let query = client.from('users').select('*');
+      if (keyword) {
+        const safe = keyword.replace(/[,()%*]/g, ' ').trim();
+        query = query.ilike('line_user_id', `%${safe}%`);
+      }
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      throwIfSupabaseError(error, 'select users');
+      return data || [];
     },
-    {
-      type: 'action',
-      action: { type: 'message', label: '🙂 丁寧に', text: 'トーン:丁寧' },
+
+    // group_settings
+    async findGroupSettings(chatId) {
+      const { data, error } = await client
+        .from('group_settings')
+        .select('*')
+        .eq('chat_id', chatId)
+        .limit(1);
+      throwIfSupabaseError(error, 'select group settings');
+      return data && data.length > 0 ? data[0] : null;
     },
-    {
-      type: 'action',
-      action: { type: 'message', label: '💼 ビジネスに', text: 'トーン:ビジネス' },
+
+    async insertGroupSettings(row) {
+      const { data, error } = await client
+        .from('group_settings')
+        .insert(row)
+        .select('*')
+        .single();
+      throwIfSupabaseError(error, 'insert group settings');
+      return data;
     },
-    homeButton(),
-    settingsButton(),
-    {
-      type: 'action',
-      action: { type: 'message', label: '❓ 使い方', text: '使い方' },
+
+    async updateGroupSettings(chatId, patch) {
+      const { data, error } = await client
+        .from('group_settings')
+        .update(patch)
+        .eq('chat_id', chatId)
+        .select('*')
+        .single();
+      throwIfSupabaseError(error, 'update group settings');
+      return data;
     },
-  ];
-}
 
-// 「設定」画面用のクイックメニュー（レベル・用途・文体・かんたん設定）
-function homeQuickReplyItems() {
-  return [
-    {
-      type: 'action',
-      action: { type: 'message', label: '🎯 レベル', text: '[設定] レベル' },
+    // translations
+    async insertTranslation(row) {
+      const { data, error } = await client
+        .from('translations')
+        .insert(row)
+        .select('*')
+        .single();
+      throwIfSupabaseError(error, 'insert translation');
+      return data;
     },
-    {
-      type: 'action',
-      action: { type: 'message', label: '📮 用途', text: '[設定] 用途' },
+
+    async listTranslations(lineUserId, { offset, limit }) {
+      const { data, error } = await client
+        .from('translations')
+        .select('*')
+        .eq('line_user_id', lineUserId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      throwIfSupabaseError(error, 'select translations');
+      return data || [];
     },
-    {
-      type: 'action',
-      action: { type: 'message', label: '🎨 文体', text: '[設定] 文体' },
+
+    async getTranslation(lineUserId, id) {
+      const { data, error } = await client
+        .from('translations')
+        .select('*')
+        .eq('line_user_id', lineUserId)
+        .eq('id', id)
+        .limit(1);
+      throwIfSupabaseError(error, 'select translation');
+      return data && data.length > 0 ? data[0] : null;
     },
-    {
-      type: 'action',
-      action: {
-        type: 'message',
-        label: '🧩 かんたん設定',
-        text: '[設定] かんたんプリセット',
-      },
+
+    // 期間内の全ユーザーの翻訳（集計用なので必要な列だけ、全ページ分）
+    async listTranslationsBetween({ since, until }) {
+      return selectAllPages(
+        () =>
+          client
+            .from('translations')
+            .select('line_user_id, direction, created_at')
+            .gte('created_at', since.toISOString())
+            .lt('created_at', until.toISOString())
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true }),
+        'select translations between'
+      );
     },
-    {
-      type: 'action',
-      action: { type: 'message', label: '❓ 使い方', text: '使い方' },
+
+    // candidate_choices
+    async insertCandidateChoice(row) {
+      const { error } = await client.from('candidate_choices').insert(row);
+      throwIfSupabaseError(error, 'insert candidate choice');
     },
-  ];
-}
 
-// ---------- 表示ラベル系 ----------
+    async listCandidateChoices(lineUserId, limit) {
+      const { data, error } = await client
+        .from('candidate_choices')
+        .select('style')
+        .eq('line_user_id', lineUserId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      throwIfSupabaseError(error, 'select candidate choices');
+      return data || [];
+    },
 
-function usageSceneLabel(usage_default) {
-  switch (usage_default) {
-    case 'CHAT_FRIEND':
-      return '友だち・同僚とのチャット';
-    case 'MAIL_INTERNAL':
-      return '社内メール';
-    case 'MAIL_EXTERNAL':
-      return '社外メール（お客様・取引先向け）';
-    default:
-      return '友だち・同僚とのチャット';
-  }
-}
+    // translation_cache
+    async getCachedTranslation(key) {
+      const { data, error } = await client
+        .from('translation_cache')
+        .select('*')
+        .eq('key', key)
+        .limit(1);
+      throwIfSupabaseError(error, 'select translation cache');
+      return data && data.length > 0 ? data[0] : null;
+    },
 
-function toneLabel(tone_default) {
-  switch (tone_default) {
-    case 'casual':
-      return 'カジュアル（友だち向け）';
-    case 'business':
-      return 'ビジネス（かっちりめ）';
-    default:
-      return '丁寧（フラット）';
-  }
-}
+    async putCachedTranslation(row) {
+      const { error } = await client.from('translation_cache').upsert(row, { onConflict: 'key' });
+      throwIfSupabaseError(error, 'upsert translation cache');
+    },
 
-// いちおう残しておくが UI ではほぼ使わない
-function englishStyleLabel(style) {
-  if (style === 'american') return 'アメリカ英語';
-  if (style === 'british') return 'イギリス英語';
-  return '日本人英語';
+    // tts_sources
+    async findTtsSource(key) {
+      const { data, error } = await client.from('tts_sources').select('*').eq('key', key).limit(1);
+      throwIfSupabaseError(error, 'select tts source');
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    // 同じキーはいつも同じ文・声なので、すでにあればそのまま
+    async insertTtsSource(row) {
+      const { error } = await client
+        .from('tts_sources')
+        .upsert(row, { onConflict: 'key', ignoreDuplicates: true });
+      throwIfSupabaseError(error, 'upsert tts source');
+    },
+
+    // processed_events
+    // 初めて見たイベントなら true、すでに記録があれば（主キーの重複なら）false
+    async claimWebhookEvent(row) {
+      const { error } = await client.from('processed_events').insert(row);
+      if (error && error.code === '23505') return false;
+      throwIfSupabaseError(error, 'insert processed event');
+      return true;
+    },
+
+    // ai_usage
+    async insertAiUsage(row) {
+      const { error } = await client.from('ai_usage').insert(row);
+      throwIfSupabaseError(error, 'insert ai usage');
+    },
+
+    // 集計は呼び出し側でやるので期間内の行をそのまま（全ページ分）返す
+    async listAiUsage({ since, until }) {
+      return selectAllPages(
+        () =>
+          client
+            .from('ai_usage')
+            .select('*')
+            .gte('created_at', since.toISOString())
+            .lt('created_at', until.toISOString())
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true }),
+        'select ai usage'
+      );
+    },
+
+    // vocabulary
+    // (line_user_id, term) がすでにある行はそのまま（最初の文脈を残す）
+    async insertVocabulary(rows) {
+      const { error } = await client
+        .from('vocabulary')
+        .upsert(rows, { onConflict: 'line_user_id,term', ignoreDuplicates: true });
+      throwIfSupabaseError(error, 'upsert vocabulary');
+    },
+
+    // keyword があれば単語・意味で部分一致検索
+    async listVocabulary(lineUserId, { offset, limit, keyword }) {
+      let query = client.from('vocabulary').select('*').eq('line_user_id', lineUserId);
+
+      if (keyword) {
+        // PostgREST の or() 構文を壊さないよう区切り文字は落とす
+        const safe = keyword.replace(/[,()%*]/g, ' ').trim();
+        query = query.or(`term.ilike.%${safe}%,meaning_ja.ilike.%${safe}%`);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      throwIfSupabaseError(error, 'select vocabulary');
+      return data || [];
+    },
+
+    async getVocabulary(lineUserId, id) {
+      const { data, error } = await client
+        .from('vocabulary')
+        .select('*')
+        .eq('line_user_id', lineUserId)
+        .eq('id', id)
+        .limit(1);
+      throwIfSupabaseError(error, 'select vocabulary');
+      return data && data.length > 0 ? data[0] : null;
+    },
+
+    async updateVocabulary(lineUserId, id, patch) {
+      const { data, error } = await client
+        .from('vocabulary')
+        .update(patch)
+        .eq('line_user_id', lineUserId)
+        .eq('id', id)
+        .select('*')
+        .single();
+      throwIfSupabaseError(error, 'update vocabulary');
+      return data;
+    },
+
+    async deleteVocabulary(lineUserId, id) {
+      const { error } = await client
+        .from('vocabulary')
+        .delete()
+        .eq('line_user_id', lineUserId)
+        .eq('id', id);
+      throwIfSupabaseError(error, 'delete vocabulary');
+    },
+
+    async listDueVocabulary(lineUserId, now, limit) {
+      const { data, error } = await client
+        .from('vocabulary')
+        .select('*')
+        .eq('line_user_id', lineUserId)
+        .or(dueFilter(now))
+        .order('due_at', { ascending: true, nullsFirst: true })
+        .limit(limit);
+      throwIfSupabaseError(error, 'select due vocabulary');
+      return data || [];
+    },
+
+    async countDueVocabulary(lineUserId, now) {
+      const { count, error } = await client
+        .from('vocabulary')
+        .select('id', { count: 'exact', head: true })
+        .eq('line_user_id', lineUserId)
+        .or(dueFilter(now));
+      throwIfSupabaseError(error, 'count due vocabulary');
+      return count || 0;
+    },
+
+    // 復習待ちの行ごとに line_user_id を返す（ユーザーごとの件数は呼び出し側で数える）
+    async listDueVocabularyOwners(now) {
+      const rows = await selectAllPages(
+        () =>
+          client
+            .from('vocabulary')
+            .select('line_user_id')
+            .or(dueFilter(now))
+            .order('id', { ascending: true }),
+        'select due users'
+      );
+      return rows.map((row) => row.line_user_id);
+    },
+  };
 }
 
-function levelLabel(user) {
-  if (user.level_type === 'eiken') {
-    const v = (user.level_value || '').toLowerCase();
-    switch (v) {
-      case '5':
-        return '英検5級';
-      case '4':
-        return '英検4級';
-      case '3':
-        return '英検3級';
-      case 'pre2':
-        return '英検準2級';
-      case '2':
-        return '英検2級';
-      case 'pre1':
-        return '英検準1級';
-      case '1':
-        return '英検1級';
-      default:
-        return '英検レベル（ざっくり）';
-    }
-  }
-  if (user.level_type === 'toeic') {
-    const v = user.level_value || '';
-    switch (v) {
-      case 'under400':
-        return 'TOEIC 〜400 くらい';
-      case '400_600':
-        return 'TOEIC 400–600 くらい';
-      case '600_800':
-        return 'TOEIC 600–800 くらい';
-      case 'over800':
-        return 'TOEIC 800+ くらい';
-      default:
-        return 'TOEIC レベル（ざっくり）';
+function createMemoryRepository() {
+  const tables = {
+    users: [],
+    group_settings: [],
+    translations: [],
+    candidate_choices: [],
+    ai_usage: [],
+    translation_cache: [],
+    tts_sources: [],
+    processed_events: [],
+    vocabulary: [],
+  };
+  let nextId = 1;
+
+  // 呼び出し側が返り値を書き換えても中身が変わらないようにコピーして返す
+  const copy = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+  const sameId = (row, id) => String(row.id) === String(id);
+  const newestFirst = (a, b) =>
+    a.created_at === b.created_at ? b.id - a.id : a.created_at < b.created_at ? 1 : -1;
+  const isDue = (row, now) => !row.due_at || new Date(row.due_at) <= now;
+  const ownedBy = (lineUserId) => (row) => row.line_user_id === lineUserId;
+
+  function updateRow(row, patch, label) {
+    if (!row) {
+      throw new Error(`Memory repository: ${label} not found`);
     }
+    Object.assign(row, copy(patch));
+    return copy(row);
   }
-  return 'ざっくりレベル';
-}
 
-// ホーム表示用
-function buildHomeText() {
-  return '翻訳したい日本語か英語の文を、そのまま送ってください。';
-}
+  return {
+    name: 'memory',
+    tables,
 
-// 設定内容の要約
-function buildSettingsSummary(user) {
-  return (
-    'いまの設定はこんな感じです：\n' +
-    `・レベル：${levelLabel(user)}\n` +
-    `・よく使う場面：${usageSceneLabel(user.usage_default)}\n` +
-    `・文体：${toneLabel(user.tone_default)}\n`
-  );
-}
+    // users
+    async findUser(lineUserId) {
+      return copy(tables.users.find(ownedBy(lineUserId)));
+    },
 
-// 設定画面用：現在の設定での英文イメージ
-function getSettingsExampleSentence(user) {
-  const ja =
-    '明日の打ち合わせの開始時間を、少し遅らせられないか相談したいです。';
+    async insertUser(row) {
+      const inserted = { id: nextId++, ...copy(row) };
+      tables.users.push(inserted);
+      return copy(inserted);
+    },
 
-  const usage = user.usage_default || 'CHAT_FRIEND';
-  const tone = user.tone_default || 'polite';
-  const key = `${usage}_${tone}`;
+    async updateUser(lineUserId, patch) {
+      return updateRow(tables.users.find(ownedBy(lineUserId)), patch, 'user');
+    },
 
-  let en;
+    async listUsers({ offset, limit, keyword }) {
+      const needle = (keyword || '').toLowerCase();
+      return tables.users
+        .filter((row) => !needle || row.line_user_id.toLowerCase().includes(needle))
+        .sort(newestFirst)
+        .slice(offset, offset + limit)
+        .map(copy);
+    },
 
-  switch (key) {
-    case 'CHAT_FRIEND_casual':
-      en = "Can we move our meeting tomorrow a bit later?";
-      break;
-    case 'CHAT_FRIEND_polite':
-      en = "Could we maybe move our meeting tomorrow a little later?";
-      break;
-    case 'CHAT_FRIEND_business':
-      en =
-        "I'd like to ask if we can move our meeting tomorrow to a later time.";
-      break;
+    // group_settings
+    async findGroupSettings(chatId) {
+      return copy(tables.group_settings.find((row) => row.chat_id === chatId));
+    },
 
-    case 'MAIL_INTERNAL_casual':
-      en = "Can we push tomorrow's meeting back a little?";
-      break;
-    case 'MAIL_INTERNAL_polite':
-      en =
-        "Could we reschedule tomorrow's meeting to a slightly later time?";
-      break;
-    case 'MAIL_INTERNAL_business':
-      en =
-        "I was wondering if we could reschedule tomorrow's meeting to a slightly later time.";
-      break;
+    async insertGroupSettings(row) {
+      const inserted = { id: nextId++, ...copy(row) };
+      tables.group_settings.push(inserted);
+      return copy(inserted);
+    },
 
-    case 'MAIL_EXTERNAL_casual':
-      en =
-        "Could we move our meeting tomorrow to a little later time, if that works for you?";
-      break;
-    case 'MAIL_EXTERNAL_polite':
-      en =
-        "I was wondering if we could move our meeting tomorrow to a slightly later time.";
-      break;
-    case 'MAIL_EXTERNAL_business':
-      en =
-        "I would like to ask if it would be possible to reschedule our meeting tomorrow to a slightly later time.";
-      break;
+    async updateGroupSettings(chatId, patch) {
+      const row = tables.group_settings.find((r) => r.chat_id === chatId);
+      return updateRow(row, patch, 'group settings');
+    },
 
-    default:
-      en =
-        "Could we move tomorrow's meeting to a slightly later time, if possible?";
-  }
+    // translations
+    async insertTranslation(row) {
+      const inserted = { id: nextId++, ...copy(row) };
+      tables.translations.push(inserted);
+      return copy(inserted);
+    },
 
-  return { ja, en };
-}
+    async listTranslations(lineUserId, { offset, limit }) {
+      return tables.translations
+        .filter(ownedBy(lineUserId))
+        .sort(newestFirst)
+        .slice(offset, offset + limit)
+        .map(copy);
+    },
 
-// ---------- OpenAI 呼び出し ----------
+    async getTranslation(lineUserId, id) {
+      return copy(tables.translations.find((row) => row.line_user_id === lineUserId && sameId(row, id)));
+    },
 
-async function generateEnglishFromJapanese({ user, sourceText, toneOverride }) {
-  const levelText =
-    user.level_type === 'eiken'
-      ? levelLabel(user)
-      : user.level_type === 'toeic'
-      ? levelLabel(user)
-      : `rough level ${user.level_value || ''}`;
+    async listTranslationsBetween({ since, until }) {
+      return tables.translations
+        .filter((row) => new Date(row.created_at) >= since && new Date(row.created_at) < until)
+        .map(({ line_user_id, direction, created_at }) => ({ line_user_id, direction, created_at }));
+    },
 
-  const usageText = {
-    CHAT_FRIEND: 'casual chat message with friends or colleagues',
-    MAIL_INTERNAL: 'polite internal business email inside a company',
-    MAIL_EXTERNAL: 'formal external business email to customers or partners',
-  }[user.usage_default] || 'casual chat message with friends or colleagues';
+    // candidate_choices
+    async insertCandidateChoice(row) {
+      tables.candidate_choices.push({ id: nextId++, ...copy(row) });
+    },
 
-  const tone = toneOverride || user.tone_default; // 'casual' | 'polite' | 'business'
+    async listCandidateChoices(lineUserId, limit) {
+      return tables.candidate_choices
+        .filter(ownedBy(lineUserId))
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map((row) => ({ style: row.style }));
+    },
 
-  // スタイルは基本「日本人英語」想定
-  let englishStyleText;
-  switch (user.english_style) {
-    case 'american':
-      englishStyleText =
-        'American English: use natural US-style expressions, but avoid slang unless the tone is very casual.';
-      break;
-    case 'british':
-      englishStyleText =
-        'British English: use natural UK-style expressions and spelling where relevant (e.g., organise, colour).';
-      break;
-    case 'japanese':
-    case 'neutral':
-    default:
-      englishStyleText =
-        'Japanese learner English: globally understandable, safe, slightly modest tone, avoid heavy slang.';
-      break;
-  }
+    // translation_cache
+    async getCachedTranslation(key) {
+      return copy(tables.translation_cache.find((row) => row.key === key));
+    },
 
-  const systemPrompt = `
-You are an English writing assistant for Japanese users.
+    async putCachedTranslation(row) {
+      tables.translation_cache = tables.translation_cache.filter((r) => r.key !== row.key);
+      tables.translation_cache.push(copy(row));
+    },
 
-Concept:
-- The goal is to create sentences that feel like:
- "This is how I would naturally write it," given the user's level, usual style, and context.
+    // tts_sources
+    async findTtsSource(key) {
+      return copy(tables.tts_sources.find((row) => row.key === key));
+    },
 
-Rules:
-- When the user sends Japanese, translate or rewrite it into natural English.
-- Consider the user's level, usage scene, tone, and English style carefully.
-- Usage scene:
- - "casual chat message with friends or colleagues": more spoken, relaxed style.
- - "polite internal business email inside a company": written, polite, but not too stiff.
- - "formal external business email to customers or partners": more formal written business style.
-- Tone:
- - "casual": use contractions (I'm, don't), natural spoken phrases, a friendly tone.
- - "polite": neutral and polite, suitable for general business communication.
- - "business": more formal, structured, and careful, but still concise.
-- IMPORTANT: If the tone changes (casual / polite / business), you MUST change wording or structure accordingly.
- Never return exactly the same sentence for different tones.
-- English style:
- Follow the description given (Japanese learner English / American English / British English).
+    async insertTtsSource(row) {
+      if (tables.tts_sources.some((r) => r.key === row.key)) return;
+      tables.tts_sources.push(copy(row));
+    },
 
-Output:
-- Output ONLY the English sentence(s).
-- No Japanese. No explanations. No quotes.
-- No bullet points unless the source text clearly uses multiple items.
-`.trim();
+    // processed_events
+    async claimWebhookEvent(row) {
+      if (tables.processed_events.some((r) => r.webhook_event_id === row.webhook_event_id)) {
+        return false;
+      }
+      tables.processed_events.push(copy(row));
+      return true;
+    },
 
-  const userPrompt = `
-User level (approx): ${levelText}
-Usage scene: ${usageText}
-Tone: ${tone}
-English style: ${englishStyleText}
+    // ai_usage
+    async insertAiUsage(row) {
+      tables.ai_usage.push({ id: nextId++, ...copy(row) });
+    },
 
-Source language: Japanese
+    async listAiUsage({ since, until }) {
+      return tables.ai_usage
+        .filter((row) => new Date(row.created_at) >= since && new Date(row.created_at) < until)
+        .map(copy);
+    },
 
-Japanese text:
-${sourceText}
-`.trim();
+    // vocabulary
+    async insertVocabulary(rows) {
+      rows.forEach((row) => {
+        const exists = tables.vocabulary.some(
+          (r) => r.line_user_id === row.line_user_id && r.term === row.term
+        );
+        if (!exists) {
+          tables.vocabulary.push({ id: nextId++, ...copy(row) });
+        }
+      });
+    },
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.4,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt },
-    ],
-  });
+    async listVocabulary(lineUserId, { offset, limit, keyword }) {
+      const needle = (keyword || '').toLowerCase();
+      return tables.vocabulary
+        .filter(ownedBy(lineUserId))
+        .filter(
+          (row) =>
+            !needle ||
+            (row.term || '').toLowerCase().includes(needle) ||
+            (row.meaning_ja || '').toLowerCase().includes(needle)
+        )
+        .sort(newestFirst)
+        .slice(offset, offset + limit)
+        .map(copy);
+    },
 
-  const content = completion.choices[0]?.message?.content?.trim() || '';
-  return content;
+    async getVocabulary(lineUserId, id) {
+      return copy(tables.vocabulary.find((row) => row.line_user_id === lineUserId && sameId(row, id)));
+    },
+
+    async updateVocabulary(lineUserId, id, patch) {
+      const row = tables.vocabulary.find((r) => r.line_user_id === lineUserId && sameId(r, id));
+      return updateRow(row, patch, 'vocabulary');
+    },
+
+    async deleteVocabulary(lineUserId, id) {
+      tables.vocabulary = tables.vocabulary.filter(
+        (row) => !(row.line_user_id === lineUserId && sameId(row, id))
+      );
+    },
+
+    async listDueVocabulary(lineUserId, now, limit) {
+      return tables.vocabulary
+        .filter((row) => row.line_user_id === lineUserId && isDue(row, now))
+        .sort((a, b) => {
+          if (!a.due_at) return b.due_at ? -1 : 0;
+          if (!b.due_at) return 1;
+          return new Date(a.due_at) - new Date(b.due_at);
+        })
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async countDueVocabulary(lineUserId, now) {
+      return tables.vocabulary.filter((row) => row.line_user_id === lineUserId && isDue(row, now))
+        .length;
+    },
+
+    async listDueVocabularyOwners(now) {
+      return tables.vocabulary.filter((row) => isDue(row, now)).map((row) => row.line_user_id);
+    },
+  };
 }
 
-async function explainEnglishToJapaneseWithGlossary({ user, sourceText }) {
-  const levelText =
-    user.level_type === 'eiken'
-      ? levelLabel(user)
-      : user.level_type === 'toeic'
-      ? levelLabel(user)
-      : `rough level ${user.level_value || ''}`;
+function createRepository(name) {
+  switch (name) {
+    case 'memory':
+      return createMemoryRepository();
+    case 'supabase':
+    default:
+      return createSupabaseRepository(
+        createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      );
+  }
+}
 
-  const systemPrompt = `
-You are an English-to-Japanese translator and tutor for Japanese learners.
+const repo = createRepository(process.env.STORAGE_BACKEND || 'supabase');
 
-Concept:
-- Focus on words and expressions that are likely to be unfamiliar or slightly above the user's level.
-- Do NOT waste space on very basic words (e.g., good, go, big, today).
+// ---------- ユーザー情報 ----------
 
-Tasks:
-1. Translate the English text into natural Japanese.
-2. Pick 0–5 words or expressions that might be difficult for the user (based on the given level).
-3. For each, provide:
-  - the English term
-  - a short Japanese meaning
-  - an optional short note in Japanese (1 sentence), e.g. nuance or a "movie-style" paraphrase.
+async function getOrCreateUser(lineUserId) {
+  const existing = await repo.findUser(lineUserId);
+  if (existing) {
+    return existing;
+  }
 
-User level will be given (e.g., EIKEN or TOEIC band), so keep explanations simple.
+  // デフォルト値（DB 側の NOT NULL / DEFAULT に依存しない）
+  const now = new Date().toISOString();
+  const newUser = {
+    line_user_id: lineUserId,
+    level_type: 'eiken',           // 'eiken' | 'toeic' | 'rough'
+    level_value: '2',              // '5','4','3','pre2','2','pre1','1' など
+    english_style: 'japanese',     // UI上は固定想定
+    usage_default: 'CHAT_FRIEND',  // 'CHAT_FRIEND' | 'MAIL_INTERNAL' | 'MAIL_EXTERNAL'
+    tone_default: 'polite',        // 'casual' | 'polite' | 'business'
+    target_language: 'en',         // 日本語を送ったときの翻訳先（LANGUAGES のキー）
+    onboarding_state: null,        // 'level' | 'usage' | 'tone' | 'done'（null は既存ユーザー扱い）
+    plan: 'free',                  // 'free' | 'premium'（利用回数の上限が変わる）
+    is_active: true,               // ブロック（unfollow）されたら false
+    created_at: now,
+    updated_at: now,
+  };
 
-Return ONLY a JSON object with this shape:
+  return repo.insertUser(newUser);
+}
 
-{
- "ja": "自然な日本語訳",
- "glossary": [
-   {
-     "term": "英単語や表現（必ず英語で）",
-     "meaning_ja": "日本語の意味（1フレーズ）",
-     "note_ja": "やさしい日本語での補足（1文以内。映画のセリフ風の意訳コメントがあってもよい）"
-   }
- ]
+async function updateUser(lineUserId, patch) {
+  const now = new Date().toISOString();
+  return repo.updateUser(lineUserId, { ...patch, updated_at: now });
 }
 
-Rules:
-- Pick vocabulary or expressions that are slightly above or around the user's level.
-- Avoid very basic, textbook-level vocabulary.
-- Each "note_ja" should be short (ideally one short sentence).
-- No extra text. No comments. No Markdown. No backticks.
-`.trim();
+// ---------- 利用回数の上限（プラン） ----------
+// users テーブルの利用回数カラム（日・月の区切りは日本時間）：
+//   plan ('free' | 'premium'),
+//   usage_day ('YYYY-MM-DD'), usage_day_count, usage_month ('YYYY-MM'), usage_month_count,
+//   bonus_quota（管理者が付与した追加回数。上限に達したあとに使う）, bonus_quota_expires_at
 
-  const userPrompt = `
-User level: ${levelText}
+const PLAN_LIMITS = {
+  free: { daily: 20, monthly: 300 },
+  premium: { daily: 200, monthly: 3000 },
+};
 
-English text:
-${sourceText}
-`.trim();
+// 上限の 8 割を超えたら残り回数を添える
+const QUOTA_WARNING_RATIO = 0.8;
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.3,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt },
-    ],
-  });
+function tokyoDateKey(now) {
+  // en-CA は YYYY-MM-DD 形式
+  return now.toLocaleDateString('en-CA', { timeZone: 'Asia/Tokyo' });
+}
 
-  let raw = completion.choices[0]?.message?.content || '';
+function activeBonusQuota(user, now) {
+  if (!user.bonus_quota || !user.bonus_quota_expires_at) return 0;
+  return new Date(user.bonus_quota_expires_at) > now ? user.bonus_quota : 0;
+}
 
-  raw = raw.trim();
-  if (raw.startsWith('```')) {
-    raw = raw.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/, '').trim();
-  }
+// 1 回分使ったときの状態を計算する（DB には書かない）
+function evaluateQuota(user, now, limits = PLAN_LIMITS[user.plan] || PLAN_LIMITS.free) {
+  const day = tokyoDateKey(now);
+  const month = day.slice(0, 7);
+  const dayCount = user.usage_day === day ? user.usage_day_count || 0 : 0;
+  const monthCount = user.usage_month === month ? user.usage_month_count || 0 : 0;
+  const bonus = activeBonusQuota(user, now);
 
-  let parsed;
-  try {
-    parsed = JSON.parse(raw);
-  } catch (e) {
-    console.error('JSON parse error from OpenAI:', e, raw);
-    return {
-      ja: raw,
-      glossary: [],
-    };
+  const dailyReached = dayCount >= limits.daily;
+  const monthlyReached = monthCount >= limits.monthly;
+  const overLimit = dailyReached || monthlyReached;
+
+  if (overLimit && bonus <= 0) {
+    return { allowed: false, reason: monthlyReached ? 'monthly' : 'daily', limits };
   }
 
-  return {
-    ja: parsed.ja || '',
-    glossary: Array.isArray(parsed.glossary) ? parsed.glossary : [],
+  const patch = {
+    usage_day: day,
+    usage_day_count: dayCount + 1,
+    usage_month: month,
+    usage_month_count: monthCount + 1,
   };
+  if (overLimit) {
+    patch.bonus_quota = bonus - 1;
+  }
+
+  let note = '';
+  if (overLimit) {
+    note = `🎁 追加でもらった回数を使いました（のこり ${bonus - 1} 回）。`;
+  } else if (monthCount + 1 >= limits.monthly * QUOTA_WARNING_RATIO) {
+    note = `⚠️ 今月の翻訳はのこり ${limits.monthly - monthCount - 1} 回です。`;
+  } else if (dayCount + 1 >= limits.daily * QUOTA_WARNING_RATIO) {
+    note = `⚠️ 今日の翻訳はのこり ${limits.daily - dayCount - 1} 回です。`;
+  }
+
+  return { allowed: true, patch, note, limits };
 }
 
-async function generateOnePointLesson(en) {
-  const systemPrompt = `
-You are an English coach for Japanese learners.
-The user has decided to use the following English sentence(s).
-You will give a friendly, polite "native-like" suggestion.
+async function consumeQuota(user, now) {
+  const result = evaluateQuota(user, now);
+  if (!result.allowed) return result;
 
-Concept:
-- Do NOT blame or correct the user.
-- Assume the sentence is already acceptable.
-- You just show: "If a native speaker said it, it might sound like this."
+  const updated = await updateUser(user.line_user_id, result.patch);
+  return { ...result, user: updated };
+}
 
-Output format (in Japanese, except for the English example):
+// イベント 1 件ぶんを数える。数えたことは event.quotaConsumed に残し、失敗したら pending_retry に引き継ぐ。
+// 「もう一度」でやり直すイベントは最初の回で数えてあるので、もう数えない
+async function consumeEventQuota(event, user) {
+  if (event.quotaConsumed) {
+    return { allowed: true, note: '', user };
+  }
 
-<one native-like English example>
+  const quota = await consumeQuota(user, clock.now());
+  if (quota.allowed) {
+    event.quotaConsumed = true;
+  }
+  return quota;
+}
 
-🔎 ポイント:
-・どんな場面・ニュアンスでよく使われるかを2〜3行で説明
-・「こういう言い方もよく使われます」「この表現は〜という雰囲気です」のように、
-  追加の選択肢として紹介する
-・余裕があれば、1つの単語や表現について軽く由来やイメージ（root やニュアンス）を1行だけ触れてもよい
+function quotaExceededError(user, quota) {
+  const err = new Error('Usage quota exceeded');
+  err.code = 'QUOTA_EXCEEDED';
+  err.user = user;
+  err.quota = quota;
+  return err;
+}
 
-Rules:
-- Do NOT restate the original user sentence.
-- Do NOT出力 any title line like "✨ よりネイティブに近づけた表現なら〜".
-- Just start with the English example, then the Japanese「🔎 ポイント:」行。
-- Total 3〜7行くらいに収める。
-- トーンはフレンドリーで、上から目線にならない。
-- 日本語はできるだけシンプルに。
-`.trim();
+// dispatchEvent がイベントごとに用意して options.meter で渡す。
+// 上限に達していたら QUOTA_EXCEEDED で失敗させ、handleEvent がお知らせを返す
+function eventMeter(event, user) {
+  return async () => {
+    const quota = await consumeEventQuota(event, user);
+    if (!quota.allowed) throw quotaExceededError(user, quota);
+    return quota;
+  };
+}
 
-  const userPrompt = `User sentence (already acceptable):\n${en}`;
+// LLM・TTS を呼ぶ直前に利用回数を数える（呼ばずに返す入力や、読み取り・聞き取りの失敗は数えない）。
+// 残り回数の案内は options.quotaNote に入れて、withNotes で結果の前に添える
+async function chargeQuota(options) {
+  if (!options || !options.meter) return;
+  const quota = await options.meter();
+  options.quotaNote = quota.note;
+}
 
-  const completion = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.5,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt },
-    ],
-  });
+// 管理者が一時的な追加回数を付与する（有効期限内のものがあれば足して、期限は長いほうに合わせる）
+async function grantExtraQuota(lineUserId, amount, days, now) {
+  const user = await repo.findUser(lineUserId);
+  if (!user) return null;
+
+  const current = activeBonusQuota(user, now);
+  const expiresAt = new Date(now.getTime() + days * DAY_MS);
+  const keepCurrent = current > 0 && new Date(user.bonus_quota_expires_at) > expiresAt;
 
-  return completion.choices[0]?.message?.content?.trim() || '';
+  return updateUser(lineUserId, {
+    bonus_quota: current + amount,
+    bonus_quota_expires_at: keepCurrent ? user.bonus_quota_expires_at : expiresAt.toISOString(),
+  });
 }
 
-// ---------- メインイベントハンドラ ----------
+// ---------- グループ設定 ----------
+// group_settings テーブル（グループ・複数人トークごとの設定。users とは別管理）：
+//   chat_id (groupId / roomId), chat_type ('group' | 'room'),
+//   translate_mode ('mention' | 'auto'), prefix, target_language（日本語の発言を訳す先。LANGUAGES のキー）,
+//   level_type, level_value, usage_default, tone_default, english_style,
+//   usage_day, usage_day_count, usage_month, usage_month_count（users と同じ利用回数カラム）,
+//   created_at, updated_at
 
-async function handleEvent(event) {
-  if (event.type !== 'message' || event.message.type !== 'text') {
-    return;
-  }
+const DEFAULT_GROUP_PREFIX = '訳:';
 
-  const userId = event.source.userId;
-  if (!userId) return;
+// グループの翻訳は発言した人ではなくトーク全体で数える（自動翻訳で 1 つのトークが使いすぎないように）
+const GROUP_LIMITS = { daily: 100, monthly: 1500 };
 
-  const text = (event.message.text || '').trim();
-  const user = await getOrCreateUser(userId);
+// 自動翻訳するのは言語判定の confidence がこれ以上のときだけ
+const AUTO_TRANSLATE_MIN_CONFIDENCE = 0.7;
 
-  // 特殊コマンド（ミックス入力用）
-  if (text.startsWith('TRANSLATE_TO_EN:::')) {
-    const original = text.replace('TRANSLATE_TO_EN:::', '');
-    return handleJaToEn(original, event.replyToken, user, { force: 'en' });
-  }
-  if (text.startsWith('TRANSLATE_TO_JA:::')) {
-    const original = text.replace('TRANSLATE_TO_JA:::', '');
-    return handleEnToJa(original, event.replyToken, user, { force: 'ja' });
-  }
+async function consumeGroupQuota(settings, now) {
+  const result = evaluateQuota(settings, now, GROUP_LIMITS);
+  if (!result.allowed) return result;
 
-  // 簡易テスト系
-  if (text === '今すぐテストしてみる') {
-    return replyLevelTestIntro(event.replyToken);
-  }
-  if (text.startsWith('テスト結果:')) {
-    return handleTestResult(event.replyToken, user, text);
-  }
+  const updated = await updateGroupSettings(settings.chat_id, result.patch);
+  return { ...result, settings: updated };
+}
 
-  // 設定・ヘルプ系
-  if (text === 'ヘルプ') {
-    return replyHelp(event.replyToken);
-  }
-  if (text === 'ホーム') {
-    return replyHome(event.replyToken, user);
-  }
-  if (text === '使い方') {
-    return replyUsage(event.replyToken);
-  }
-  if (text === '設定') {
-    return replySettings(event.replyToken, user);
+async function getOrCreateGroupSettings(chatId, chatType) {
+  const existing = await repo.findGroupSettings(chatId);
+  if (existing) {
+    return existing;
   }
 
-  // 設定フロー
-  if (text === '[設定] レベル') {
-    return replyLevelRoot(event.replyToken);
-  }
-  if (text === '[設定] 英検レベル') {
-    return replyLevelEiken(event.replyToken);
-  }
-  if (text === '[設定] TOEICレベル') {
-    return replyLevelToeic(event.replyToken);
-  }
-  if (text === '[設定] かんたんプリセット') {
-    return replyLevelPreset(event.replyToken);
-  }
-  if (text.startsWith('SET_LEVEL_EIKEN_')) {
-    return handleSetLevelEiken(event.replyToken, user, text);
-  }
-  if (text.startsWith('SET_LEVEL_TOEIC_')) {
-    return handleSetLevelToeic(event.replyToken, user, text);
-  }
-  if (text.startsWith('SET_LEVEL_PRESET_')) {
-    return handleSetLevelPreset(event.replyToken, user, text);
-  }
+  // グループはメンション or プレフィックスで呼ばれたときだけ翻訳するのが基本
+  const now = new Date().toISOString();
+  const newSettings = {
+    chat_id: chatId,
+    chat_type: chatType,
+    translate_mode: 'mention',
+    prefix: DEFAULT_GROUP_PREFIX,
+    target_language: 'en',
+    level_type: 'eiken',
+    level_value: '2',
+    english_style: 'japanese',
+    usage_default: 'CHAT_FRIEND',
+    tone_default: 'polite',
+    created_at: now,
+    updated_at: now,
+  };
 
-  if (text === '[設定] 用途') {
-    return replyUsageScene(event.replyToken);
-  }
-  if (text.startsWith('SET_USAGE_')) {
-    return handleSetUsageScene(event.replyToken, user, text);
-  }
+  return repo.insertGroupSettings(newSettings);
+}
 
-  if (text === '[設定] 文体') {
-    return replyToneSetting(event.replyToken);
-  }
-  if (text.startsWith('SET_TONE_')) {
-    return handleSetTone(event.replyToken, user, text);
-  }
+async function updateGroupSettings(chatId, patch) {
+  const now = new Date().toISOString();
+  return repo.updateGroupSettings(chatId, { ...patch, updated_at: now });
+}
 
-  // トーン変更
-  if (text.startsWith('トーン:')) {
-    const toneLabelJa = text.replace('トーン:', '');
-    return handleToneChange(event.replyToken, user, toneLabelJa);
-  }
+// ---------- 翻訳履歴 ----------
+// translations テーブル：
+//   id, line_user_id, direction ('JA_TO_EN' | 'EN_TO_JA'),
+//   language（日本語ではない側の言語。LANGUAGES のキー。direction は英語以外でもこの 2 つ）,
+//   mode（JA_TO_EN のとき何を作ったか。'JA_TO_EN' | 'EMAIL' | 'EMAIL_REPLY'。古い行は null で 1 文扱い）,
+//   source_text, output_text（メールは件名を除いた本文）, subject（メールの件名）,
+//   reply_to_text（EMAIL_REPLY のときの元のメール）, glossary (jsonb, EN_TO_JA のみ),
+//   level_type, level_value, usage, tone, english_style, created_at
+
+const HISTORY_PAGE_SIZE = 5;
+
+async function recordTranslation(
+  user,
+  { direction, mode, language, sourceText, outputText, subject, replyToText, glossary, tone }
+) {
+  return repo.insertTranslation({
+    line_user_id: user.line_user_id,
+    direction,
+    mode: mode || (direction === 'JA_TO_EN' ? 'JA_TO_EN' : null),
+    language: language || 'en',
+    source_text: sourceText,
+    output_text: outputText,
+    subject: subject || null,
+    reply_to_text: replyToText || null,
+    glossary: glossary || null,
+    level_type: user.level_type,
+    level_value: user.level_value,
+    usage: user.usage_default,
+    tone: tone || user.tone_default,
+    english_style: user.english_style,
+    created_at: new Date().toISOString(),
+  });
+}
 
-  // 「この英文でOK」 → ネイティブ寄りの別案（ユーザー英文は再掲しない）
-  if (text.includes('この英文で')) {
-    return handleAcceptCurrentEnglish(event.replyToken, user);
-  }
+// 新しい順に 1 ページ分。次ページ判定のため 1 件多めに取る
+async function listTranslations(lineUserId, page = 1) {
+  const rows = await repo.listTranslations(lineUserId, {
+    offset: (page - 1) * HISTORY_PAGE_SIZE,
+    limit: HISTORY_PAGE_SIZE + 1,
+  });
+  return {
+    entries: rows.slice(0, HISTORY_PAGE_SIZE),
+    hasNext: rows.length > HISTORY_PAGE_SIZE,
+  };
+}
 
-  // ここから本文処理
-  const lang = detectLanguage(text);
+async function getTranslation(lineUserId, id) {
+  return repo.getTranslation(lineUserId, id);
+}
 
-  if (lang === 'ja') {
-    return handleJaToEn(text, event.replyToken, user);
-  } else if (lang === 'en') {
-    return handleEnToJa(text, event.replyToken, user);
-  } else if (lang === 'mixed') {
-    return handleMixed(text, event.replyToken);
-  } else {
-    // その他の言語は対象外
-    return lineClient.replyMessage(event.replyToken, {
-      type: 'text',
-      text: '今は日本語と英語だけをサポートしています。\n日本語か英語で送ってみてください。',
-      quickReply: { items: baseQuickReplyItems(false) },
-    });
+// 履歴の保存に失敗しても翻訳結果の返信は止めない
+async function saveHistorySafely(user, entry) {
+  try {
+    return await recordTranslation(user, entry);
+  } catch (e) {
+    reportError('Record translation error', e);
+    return null;
   }
 }
 
-// ---------- 各種返信ハンドラ ----------
-
-async function replyHelp(replyToken) {
-  const message = {
-    type: 'text',
-    text:
-      '💡 YourTranslator へようこそ\n\n' +
-      'YourTranslator は、キレイすぎる翻訳ツールや AI の英語ではなく、\n' +
-      'あなたが普段使いそうな自然な英文と、ワンランク上の英文を提案する相棒です。\n\n' +
-      '📝 できること\n' +
-      '・日本語で送る → 英文を作成\n' +
-      '・英語で送る → 和訳＋ちょっとむずかしめの英単語・表現のミニ解説\n' +
-      '・日本語＋英語まじり → 英訳 / 和訳を選択\n\n' +
-      '⚙️ 設定のイメージ\n' +
-      '・レベル → 単語・文法のむずかしさ\n' +
-      '・用途 → チャット / 社内メール / 社外メール\n' +
-      '・文体 → カジュアル / 丁寧 / ビジネス\n' +
-      '同じ日本語でも、用途や文体を変えると「語尾・前置き・ていねいさ」が変わります。\n\n' +
-      '✨ 「この英文でOK」を押すと\n' +
-      '・今の英文はそのままOK、という前提で\n' +
-      '・「よりネイティブに近づけた表現なら、たとえばこんな言い方もあります」という別案＋日本語でのポイント解説が返ってきます。\n' +
-      '  （あなたの英文をダメ出しするのではなく、「こういう言い方もあるよ」を足すイメージです）\n\n' +
-      'まずは、翻訳したい日本語か英語の文をそのまま送ってみてください。',
-    quickReply: { items: baseQuickReplyItems(true) },
-  };
-  return lineClient.replyMessage(replyToken, message);
+// ---------- 候補の選択記録 ----------
+// candidate_choices テーブル（どのスタイルの案を選びがちかを見るため）：
+//   id, line_user_id, source_text, style ('direct' | 'softer' | 'shorter'),
+//   chosen_en, candidates (jsonb), created_at
+// 選ぶ前の候補は users.pending_candidates (jsonb) に { source_text, candidates } で置く
+
+async function recordCandidateChoice(user, { sourceText, style, chosenEn, candidates }) {
+  return repo.insertCandidateChoice({
+    line_user_id: user.line_user_id,
+    source_text: sourceText,
+    style,
+    chosen_en: chosenEn,
+    candidates,
+    created_at: new Date().toISOString(),
+  });
 }
 
-async function replyHome(replyToken, user) {
-  const text = buildHomeText(user);
-  const message = {
-    type: 'text',
-    text,
-    quickReply: {
-      items: [
-        settingsButton(),
-        {
-          type: 'action',
-          action: { type: 'message', label: '❓ 使い方', text: '使い方' },
-        },
-      ],
-    },
-  };
-  return lineClient.replyMessage(replyToken, message);
+// 直近の選択からスタイルごとの回数を数える
+async function countCandidateStyles(lineUserId, limit = 50) {
+  const rows = await repo.listCandidateChoices(lineUserId, limit);
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row.style] = (counts[row.style] || 0) + 1;
+  });
+  return counts;
 }
 
-async function replyUsage(replyToken) {
-  const text =
-    '📖 使い方ガイド\n\n' +
-    '1️⃣ まずは設定\n' +
-    '・「🏠 ホーム」→「⚙️ 設定」で、レベル / 用途 / 文体 / かんたん設定 をざっくり決める\n' +
-    '・「🎯 レベル」から、英検 / TOEIC / かんたんテスト で自分のレベルを選ぶ\n\n' +
-    '2️⃣ 日本語で送ると…\n' +
-    '・そのままの意味で使える英文にして返します\n' +
-    '・レベル・用途・文体に合わせて、言い回しや丁寧さを調整します\n\n' +
-    '3️⃣ 英語で送ると…\n' +
-    '・自然な日本語訳\n' +
-    '・あなたのレベルから見て「ちょっとむずかしい」英単語・表現のミニ解説\n\n' +
-    '4️⃣ 日本語＋英語がまざるとき\n' +
-    '・「英訳してほしい」「和訳してほしい」のボタンが出るので、どちらかを選びます\n\n' +
-    '5️⃣ さらに調整したいとき\n' +
-    '・「カジュアルに / 丁寧に / ビジネスに」を押すと文体だけ変えた英文に\n' +
-    '・「この英文でOK」を押すと、\n' +
-    '   → よりネイティブに近づけた表現の別案＋日本語のポイント解説が返ってきます\n\n' +
-    'むずかしく考えなくて大丈夫なので、まずはいつもの文をそのまま投げてみてください。';
+// ---------- AI 利用量 ----------
+// ai_usage テーブル（LLM を 1 回呼ぶごとに 1 行。やり直しても失敗した呼び出しも残す）：
+//   id, line_user_id, chat_id（グループのとき）, feature, tone, provider, model,
+//   status（'ok' / 'error'）, error_code（失敗時の HTTP ステータスやエラーコード）,
+//   prompt_tokens, completion_tokens, total_tokens, latency_ms, cost_usd, created_at
+
+// 100 万トークンあたりの USD（入力 / 出力）。返ってきたモデル名の前方一致で引く
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+};
 
-  const message = {
-    type: 'text',
-    text,
-    quickReply: { items: baseQuickReplyItems(true) },
-  };
+// 集計できる軸
+const AI_USAGE_GROUP_KEYS = ['feature', 'line_user_id', 'model', 'tone'];
 
-  return lineClient.replyMessage(replyToken, message);
+function modelPrice(model) {
+  const key = Object.keys(MODEL_PRICES)
+    .filter((prefix) => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? MODEL_PRICES[key] : null;
 }
 
-// 設定画面
-async function replySettings(replyToken, user) {
-  const { ja, en } = getSettingsExampleSentence(user);
+// 単価が分からないモデル（mock やローカルの互換サーバーなど）は null
+function estimateCostUsd(model, usage) {
+  const price = modelPrice(model);
+  if (!price || !usage) return null;
+  const cost =
+    ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) /
+    1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
 
-  const text =
-    '⚙️ 設定\n\n' +
-    '「どれがいいかよく分からない」ときは、「🧩 かんたん設定」からまとめて設定するのがおすすめです。\n\n' +
-    buildSettingsSummary(user) +
-    '\nこの設定だと、だいたいこんなイメージの英文になります：\n' +
-    `・日本語：${ja}\n` +
-    `・英語：${en}\n` +
-    '（レベルが上がるほど、単語や文法が少しずつむずかしくなっていきます）\n\n' +
-    '変更したい項目を選んでください。';
+// 失敗したときの記録用。HTTP ステータスがあればそれ、なければエラーコード
+function aiErrorCode(err) {
+  if (!err) return null;
+  if (typeof err.status === 'number') return String(err.status);
+  return err.code || err.name || 'unknown';
+}
 
-  const message = {
-    type: 'text',
-    text,
-    quickReply: { items: homeQuickReplyItems() },
-  };
+async function recordAiUsage({ tags, feature, provider, model, usage, latencyMs, error }) {
+  const user = tags.user || {};
+  return repo.insertAiUsage({
+    line_user_id: user.line_user_id || null,
+    chat_id: user.chat_id || null,
+    feature,
+    tone: tags.tone || null,
+    provider,
+    model,
+    status: error ? 'error' : 'ok',
+    error_code: error ? aiErrorCode(error) : null,
+    prompt_tokens: usage ? usage.prompt_tokens || 0 : null,
+    completion_tokens: usage ? usage.completion_tokens || 0 : null,
+    total_tokens: usage ? usage.total_tokens || 0 : null,
+    latency_ms: latencyMs,
+    cost_usd: estimateCostUsd(model, usage),
+    created_at: new Date().toISOString(),
+  });
+}
 
-  return lineClient.replyMessage(replyToken, message);
+// 利用量の記録に失敗しても返信は止めない
+async function recordAiUsageSafely(entry) {
+  try {
+    await recordAiUsage(entry);
+  } catch (e) {
+    reportError('Record AI usage error', e);
+  }
 }
 
-// -- 簡易レベルテスト --
+// 期間内の利用量を groupBy ごとにまとめる（費用の大きい順）。calls は失敗も含めた回数、errors はそのうちの失敗
+async function summarizeAiUsage({ since, until, groupBy = 'feature' }) {
+  const rows = await repo.listAiUsage({ since, until });
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const key = row[groupBy] || '(none)';
+    const group = groups.get(key) || {
+      key,
+      calls: 0,
+      errors: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      cost_usd: 0,
+      latency_ms_total: 0,
+    };
+    group.calls += 1;
+    if (row.status === 'error') group.errors += 1;
+    group.prompt_tokens += row.prompt_tokens || 0;
+    group.completion_tokens += row.completion_tokens || 0;
+    group.total_tokens += row.total_tokens || 0;
+    group.cost_usd += Number(row.cost_usd) || 0;
+    group.latency_ms_total += row.latency_ms || 0;
+    groups.set(key, group);
+  });
 
-async function replyLevelTestIntro(replyToken) {
-  const text =
-    '📘 かんたんレベルチェック\n\n' +
-    '次の3つの英文のうち、「自分ならこう書きそうだな」と感じるものを選んでください。\n' +
-    '番号が大きくなるほど、単語や文法のレベルが少しずつ上がっていきます。\n\n' +
-    '1) I like watching movies and playing games in my free time.\n' +
-    "2) I'd really appreciate it if you could share the updated schedule when you have a moment.\n" +
-    '3) We need to prioritize this task, otherwise it may negatively affect the project timeline.\n\n' +
-    '「テスト結果: 2」のように、番号つきで送ってください。';
+  return [...groups.values()]
+    .map(({ latency_ms_total, ...group }) => ({
+      ...group,
+      cost_usd: Math.round(group.cost_usd * 1000000) / 1000000,
+      avg_latency_ms: Math.round(latency_ms_total / group.calls),
+    }))
+    .sort((a, b) => b.cost_usd - a.cost_usd || b.calls - a.calls);
+}
 
-  const message = {
-    type: 'text',
-    text,
-    quickReply: {
-      items: [
-        {
-          type: 'action',
-          action: { type: 'message', label: '①', text: 'テスト結果: 1' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '②', text: 'テスト結果: 2' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '③', text: 'テスト結果: 3' },
-        },
-        ...baseQuickReplyItems(true),
-      ],
-    },
+// ---------- 単語帳 ----------
+// vocabulary テーブル：
+//   id, line_user_id, term, meaning_ja, note_ja,
+//   source_text（その単語が出てきた外国語の文）, language（source_text の言語。LANGUAGES のキー）,
+//   translation_id, created_at,
+//   ease, interval_days, repetitions, due_at, last_reviewed_at（復習スケジュール）
+//   ※ (line_user_id, term) に UNIQUE 制約（同じ単語は最初に出会った文脈を残す）
+
+const VOCAB_PAGE_SIZE = 5;
+
+async function saveVocabulary(user, glossary, { sourceText, language, translationId }) {
+  const now = clock.now().toISOString();
+  const rows = (glossary || [])
+    .filter((g) => g && g.term && g.term.trim())
+    .map((g) => ({
+      line_user_id: user.line_user_id,
+      term: g.term.trim(),
+      meaning_ja: g.meaning_ja || '',
+      note_ja: g.note_ja || '',
+      source_text: sourceText,
+      language: language || 'en',
+      translation_id: translationId || null,
+      created_at: now,
+      ease: SM2_DEFAULT_EASE,
+      interval_days: 0,
+      repetitions: 0,
+      due_at: now, // 保存した直後から復習対象
+    }));
+
+  if (rows.length === 0) return;
+
+  await repo.insertVocabulary(rows);
+}
+
+async function listVocabulary(lineUserId, { page = 1, keyword = '' } = {}) {
+  const rows = await repo.listVocabulary(lineUserId, {
+    offset: (page - 1) * VOCAB_PAGE_SIZE,
+    limit: VOCAB_PAGE_SIZE + 1,
+    keyword,
+  });
+  return {
+    entries: rows.slice(0, VOCAB_PAGE_SIZE),
+    hasNext: rows.length > VOCAB_PAGE_SIZE,
   };
+}
 
-  return lineClient.replyMessage(replyToken, message);
+async function getVocabulary(lineUserId, id) {
+  return repo.getVocabulary(lineUserId, id);
 }
 
-async function handleTestResult(replyToken, user, text) {
-  const numStr = text.replace('テスト結果:', '').trim();
-  const num = parseInt(numStr, 10);
+async function deleteVocabulary(lineUserId, id) {
+  return repo.deleteVocabulary(lineUserId, id);
+}
 
-  let level_value = user.level_value;
-  switch (num) {
-    case 1:
-      level_value = '5';
-      break;
-    case 2:
-      level_value = '3';
-      break;
-    case 3:
-      level_value = 'pre2';
-      break;
-    default:
-      return lineClient.replyMessage(replyToken, {
-        type: 'text',
-        text:
-          '1〜3のどれかで答えてください。\n' +
-          '例：「テスト結果: 2」',
-        quickReply: { items: baseQuickReplyItems(true) },
-      });
+// 単語帳の保存に失敗しても和訳の返信は止めない
+async function saveVocabularySafely(user, glossary, context) {
+  try {
+    await saveVocabulary(user, glossary, context);
+  } catch (e) {
+    reportError('Save vocabulary error', e);
   }
+}
 
-  const updated = await updateUser(user.line_user_id, {
-    level_type: 'eiken',
-    level_value,
-  });
+// ---------- 復習スケジュール（SM-2） ----------
+// 時刻はすべて引数の now で受け取る（テスト時に時計を差し替えられるように）
 
-  const textReply =
-    `📝 テスト結果から、レベルを「${levelLabel(updated)}」あたりにしてみました。\n\n` +
-    buildSettingsSummary(updated);
+const clock = {
+  now: () => new Date(),
+};
 
-  const message = {
-    type: 'text',
-    text: textReply,
-    quickReply: { items: homeQuickReplyItems() },
+const SM2_DEFAULT_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// クイックリプライの答え → SM-2 の quality (0〜5)
+const REVIEW_GRADES = {
+  覚えた: 5,
+  あいまい: 3,
+  忘れた: 1,
+};
+
+function scheduleNextReview(card, grade, now) {
+  const quality = REVIEW_GRADES[grade];
+  if (quality === undefined) {
+    throw new Error(`Unknown review grade: ${grade}`);
+  }
+
+  const prevEase = Number(card.ease) || SM2_DEFAULT_EASE;
+  const prevInterval = Number(card.interval_days) || 0;
+  let repetitions = Number(card.repetitions) || 0;
+  let intervalDays;
+  let ease = prevEase;
+
+  if (quality < 3) {
+    // 忘れたら最初から（翌日にもう一度）。SM-2 のとおり ease はそのまま
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(prevInterval * prevEase);
+    }
+    ease = Math.max(
+      SM2_MIN_EASE,
+      prevEase + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+  }
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval_days: intervalDays,
+    repetitions,
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    last_reviewed_at: now.toISOString(),
   };
+}
 
-  return lineClient.replyMessage(replyToken, message);
+async function listDueVocabulary(lineUserId, now, limit = 1) {
+  return repo.listDueVocabulary(lineUserId, now, limit);
 }
 
-// -- レベル設定 --
+async function countDueVocabulary(lineUserId, now) {
+  return repo.countDueVocabulary(lineUserId, now);
+}
 
-async function replyLevelRoot(replyToken) {
-  const message = {
-    type: 'text',
-    text:
-      '🎯 レベルの決め方を選んでください。\n\n' +
-      '・英検：あなたの英語力を英検の級で設定する\n' +
-      '・TOEIC：TOEICスコア帯でレベルを設定する\n' +
-      '・かんたんテスト：3つの英文から感覚で選ぶだけ\n\n' +
-      'レベル選択がよくわからない場合は、「かんたんテスト」から欲しい英文のレベルを選んでください。',
-    quickReply: {
-      items: [
-        {
-          type: 'action',
-          action: { type: 'message', label: '英検で設定', text: '[設定] 英検レベル' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: 'TOEICで設定', text: '[設定] TOEICレベル' },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: 'かんたんテスト',
-            text: '今すぐテストしてみる',
-          },
-        },
-        ...baseQuickReplyItems(true),
-      ],
-    },
-  };
-  return lineClient.replyMessage(replyToken, message);
+// 復習待ちの単語があるユーザーと件数（定期プッシュ用）
+async function listUsersWithDueVocabulary(now) {
+  const owners = await repo.listDueVocabularyOwners(now);
+  const counts = new Map();
+  owners.forEach((lineUserId) => {
+    counts.set(lineUserId, (counts.get(lineUserId) || 0) + 1);
+  });
+  return counts;
 }
 
-async function replyLevelEiken(replyToken) {
-  const message = {
-    type: 'text',
-    text:
-      '英検の級を選んでください。\n\n' +
-      '同じ日本語「明日は在宅勤務です」を各級で書いたイメージです：\n' +
+async function updateVocabulary(lineUserId, id, patch) {
+  return repo.updateVocabulary(lineUserId, id, patch);
+}
+
+// ---------- ヘルパー：言語判定 ----------
+
+// 日本語と行き来できる言語（users.target_language・translations.language の値）
+// short は履歴の「英→日」のような短い表示用、prompt はプロンプトに入れる言語名
+const LANGUAGES = {
+  en: { label: '英語', short: '英', flag: '🇺🇸', prompt: 'English' },
+  zh: { label: '中国語', short: '中', flag: '🇨🇳', prompt: 'Simplified Chinese' },
+  ko: { label: '韓国語', short: '韓', flag: '🇰🇷', prompt: 'Korean' },
+  es: { label: 'スペイン語', short: '西', flag: '🇪🇸', prompt: 'Spanish' },
+  fr: { label: 'フランス語', short: '仏', flag: '🇫🇷', prompt: 'French' },
+};
+
+function languageOrEnglish(code) {
+  return LANGUAGES[code] ? code : 'en';
+}
+
+// 「英訳」「韓国語訳」のような表示
+function translationLabel(code) {
+  return code === 'en' ? '英訳' : `${LANGUAGES[code].label}訳`;
+}
+
+// 「英文」「韓国語の文」のような表示
+function sentenceLabel(code) {
+  return code === 'en' ? '英文' : `${LANGUAGES[code].label}の文`;
+}
+
+// ラテン文字の言語を見分ける手がかり：よく使う短い語と、その言語にしかない文字
+// （de / la / en のように複数の言語で使う語は入れない）
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'to', 'of', 'it', 'this', 'that', 'have', 'with', 'for'],
+  es: ['el', 'los', 'las', 'que', 'y', 'es', 'por', 'para', 'con', 'una', 'hola', 'gracias', 'muy'],
+  fr: ['le', 'les', 'des', 'est', 'et', 'je', 'vous', 'nous', 'pas', 'une', 'bonjour', 'merci'],
+};
+const LATIN_MARKS = {
+  es: /[ñ¿¡áíóú]/,
+  fr: /[çœàèùâêîôûëï]/,
+};
+
+// 仮名のない漢字だけの文のうち、簡体字や日本語ではまず使わない字があれば中国語とみなす
+// （「会議室予約」のような漢字だけの日本語は日本語のまま）。
+// 日本語でも使う字（会・来・后・没・写・机・准 など）は入れない
+const SIMPLIFIED_CHINESE_CHARS =
+  '们这个吗呢吧啊么哪谁你她为样两从还过进动说请谢给对让认识话语读问间门' +
+  '书东车见页时长发开关电脑网络线级组织经济结业务产买卖实现应该场报纸钱银' +
+  '议习觉边头帮备钟图题错难飞复';
+const CHINESE_HINT = new RegExp(`[${SIMPLIFIED_CHINESE_CHARS}]`);
+
+// 仮名も簡体字もない漢字だけの文がこれより長いと、日本語か中国語か決めきれない
+const AMBIGUOUS_KANJI_LENGTH = 4;
+
+function detectLatinLanguage(text) {
+  const lower = text.toLowerCase();
+  const words = lower.match(/[a-zß-öø-ÿœ]+/g) || [];
+  const scores = { en: 0, es: 0, fr: 0 };
+
+  words.forEach((word) => {
+    Object.keys(scores).forEach((code) => {
+      if (LATIN_STOPWORDS[code].includes(word)) scores[code] += 1;
+    });
+  });
+  Object.entries(LATIN_MARKS).forEach(([code, pattern]) => {
+    if (pattern.test(lower)) scores[code] += 2;
+  });
+
+  // 英語より手がかりが多いときだけ英語以外にする（迷ったら英語）
+  const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return best[1] > scores.en ? best[0] : 'en';
+}
+
+// ローマ字の日本語（「ashita wa yasumi desu」）：ほぼ全部の語がローマ字の形で、日本語らしい語が 1 つはあること
+// （英語の短い語もローマ字の形になるので、形だけでは決めない）
+const ROMAJI_WORD = /^(?:(?:ky|gy|sh|ch|ts|ny|hy|by|py|my|ry|[kgsztdnhbpmyrwjf])?[aeiou]|n|[kstp](?=[kstp]))+$/;
+const ROMAJI_MARKER_WORDS = new Set([
+  'wa',
+  'wo',
+  'arigato',
+  'arigatou',
+  'konnichiwa',
+  'konbanwa',
+  'ohayo',
+  'ohayou',
+  'sumimasen',
+  'yoroshiku',
+  'onegai',
+  'daijoubu',
+]);
+// 「desu」「kudasai」だけの単語も、「ikimasu」のような語尾も拾う
+const ROMAJI_MARKER_ENDINGS = /(?:masu|masen|mashita|desu|deshita|kudasai)$/;
+
+function looksLikeRomaji(words) {
+  if (words.length === 0) return false;
+  const shaped = words.filter((word) => ROMAJI_WORD.test(word)).length;
+  const marked = words.some(
+    (word) => ROMAJI_MARKER_WORDS.has(word) || ROMAJI_MARKER_ENDINGS.test(word)
+  );
+  return shaped / words.length >= 0.8 && marked;
+}
+
+// 文字数が少ないほど自信を下げる（「OK」だけでは英語とは言い切れない）
+function lengthConfidence(count) {
+  return Math.min(1, 0.5 + count / 20);
+}
+
+// 日本語の中のラテン文字の割合（ラテン文字は 1 語が長いので日本語の文字を 2 倍に数える）
+// これより少なければ日本語、多ければラテン文字の言語、あいだは「どちらか選んでもらう」
+const MIXED_LOWER_RATIO = 0.35;
+const MIXED_UPPER_RATIO = 0.8;
+
+// ラテン文字の 1 語（数字まじりの「GPT4」や「don't」も 1 語）
+const LATIN_TOKEN = /[A-Za-zÀ-ÖØ-öø-ÿŒœ0-9']*[A-Za-zÀ-ÖØ-öø-ÿŒœ][A-Za-zÀ-ÖØ-öø-ÿŒœ0-9']*/g;
+
+// 製品名・略語のような語（「iPhone」「MTG」「Zoom」「GPT4」）は日本語の文の一部として扱う
+function isNameLikeToken(token) {
+  return /[A-Z0-9]/.test(token);
+}
+
+// 文字の種類ごとの割合で判定する。{ language, confidence }（confidence は 0〜1）
+//   language: 'ja' | 'mixed'（日本語＋ラテン文字で、どちらとも言えない） | LANGUAGES のキー | 'other'
+function detectLanguage(rawText) {
+  // 半角カナ・全角英数字をそろえる
+  const text = (rawText || '').normalize('NFKC');
+  const count = (pattern) => (text.match(pattern) || []).length;
+
+  const kana = count(/[ぁ-ゖゝゞァ-ヺーヽヾ]/g);
+  const kanji = count(/[一-龯々〆]/g);
+  const hangul = count(/[가-힣ㄱ-ㅣ]/g);
+  const punctuation = count(/[、。「」『』【】・〜…]/g);
+  const latinTokens = text.match(LATIN_TOKEN) || [];
+  const latin = latinTokens.reduce((sum, token) => sum + token.length, 0);
+
+  const letters = kana + kanji + hangul + latin;
+  if (letters === 0) {
+    return { language: 'other', confidence: 1 };
+  }
+
+  if (hangul * 2 >= letters) {
+    return { language: 'ko', confidence: hangul / letters };
+  }
+
+  if (kana === 0 && kanji > 0 && CHINESE_HINT.test(text) && kanji * 2 >= letters) {
+    return { language: 'zh', confidence: kanji >= 4 ? 0.9 : 0.7 };
+  }
+
+  const japanese = kana + kanji + punctuation;
+  if (japanese > 0 && kana + kanji > 0) {
+    // 仮名があればほぼ確実。漢字だけなら中国語の可能性も残り、長いほど（文らしいほど）怪しい
+    let baseConfidence = 0.95;
+    if (kana === 0) {
+      baseConfidence = kanji > AMBIGUOUS_KANJI_LENGTH ? 0.5 : 0.7;
+    }
+    if (latin === 0) {
+      return { language: 'ja', confidence: baseConfidence };
+    }
+
+    // 埋め込まれた短い英語（製品名・1 語だけ）は日本語のうち
+    const embeddedOnly = latinTokens.length === 1 || latinTokens.every(isNameLikeToken);
+    const ratio = latin / (latin + japanese * 2);
+    if (ratio < MIXED_LOWER_RATIO || (embeddedOnly && ratio < MIXED_UPPER_RATIO)) {
+      return { language: 'ja', confidence: baseConfidence * (1 - ratio / 2) };
+    }
+    if (ratio >= MIXED_UPPER_RATIO) {
+      return { language: detectLatinLanguage(latinTokens.join(' ')), confidence: ratio };
+    }
+    return { language: 'mixed', confidence: 0.5 };
+  }
+
+  const words = latinTokens.map((token) => token.toLowerCase());
+  if (looksLikeRomaji(words)) {
+    return { language: 'ja', confidence: Math.min(0.9, lengthConfidence(latin)) };
+  }
+  if (latin > 0) {
+    return { language: detectLatinLanguage(text), confidence: lengthConfidence(latin) };
+  }
+  return { language: 'other', confidence: 1 };
+}
+
+// ---------- ヘルパー：Quick Reply ----------
+
+function homeButton() {
+  return {
+    type: 'action',
+    action: { type: 'message', label: '🏠 ホーム', text: 'ホーム' },
+  };
+}
+
+function settingsButton() {
+  return {
+    type: 'action',
+    action: { type: 'message', label: '⚙️ 設定', text: '設定' },
+  };
+}
+
+function vocabularyButton() {
+  return {
+    type: 'action',
+    action: { type: 'message', label: '📒 単語帳', text: '単語帳' },
+  };
+}
+
+function reviewButton() {
+  return {
+    type: 'action',
+    action: { type: 'message', label: '🔁 復習', text: '復習' },
+  };
+}
+
+function historyButton() {
+  return {
+    type: 'action',
+    action: { type: 'message', label: '🕘 履歴', text: '履歴' },
+  };
+}
+
+function replyDraftButton() {
+  return postbackItem('↩️ 返信を作る', { action: 'reply_draft' }, '返信を作る');
+}
+
+// Postback ボタン。displayText がチャットに表示される（省略時はラベル）
+function postbackItem(label, data, displayText) {
+  return {
+    type: 'action',
+    action: {
+      type: 'postback',
+      label,
+      data: new URLSearchParams(data).toString(),
+      displayText: displayText || label,
+    },
+  };
+}
+
+// 一覧の番号ボタン用（履歴・単語帳など）
+const NUMBER_LABELS = ['①', '②', '③', '④', '⑤'];
+
+// includeHelp = true のときだけ「使い方」も出す
+function baseQuickReplyItems(includeHelp = true) {
+  const items = [homeButton(), settingsButton()];
+  if (includeHelp) {
+    items.push({
+      type: 'action',
+      action: { type: 'message', label: '❓ 使い方', text: '使い方' },
+    });
+  }
+  return items;
+}
+
+// 文体を変えて作り直すボタン（tone は「別の言い方」で今の文体を保つため）
+function toneChangeItems(tone) {
+  return [
+    postbackItem('😊 カジュアルに', { action: 'change_tone', tone: 'casual' }, 'カジュアルにして'),
+    postbackItem('🙂 丁寧に', { action: 'change_tone', tone: 'polite' }, '丁寧にして'),
+    postbackItem('💼 ビジネスに', { action: 'change_tone', tone: 'business' }, 'ビジネス向けにして'),
+    postbackItem('🔁 別の言い方', { action: 'rephrase', ...(tone ? { tone } : {}) }, '別の言い方にして'),
+  ];
+}
+
+// 英文生成時のクイックメニュー
+// 「この英文でOK」「ほかの案」は英語のときだけ出す
+function toneQuickReplyItems(tone, language = 'en') {
+  const englishOnly = (items) => (language === 'en' ? items : []);
+  const [casual, polite, business, rephrase] = toneChangeItems(tone);
+  return [
+    ...englishOnly([
+      {
+        type: 'action',
+        action: { type: 'message', label: '✨ この英文でOK', text: 'この英文でOK' },
+      },
+    ]),
+    casual,
+    polite,
+    business,
+    ...englishOnly([postbackItem('🔀 ほかの案', { action: 'candidates' }, 'ほかの案も見たい')]),
+    rephrase,
+    {
+      type: 'action',
+      action: { type: 'message', label: '🔊 読み上げ', text: '読み上げ' },
+    },
+    homeButton(),
+    settingsButton(),
+    {
+      type: 'action',
+      action: { type: 'message', label: '❓ 使い方', text: '使い方' },
+    },
+  ];
+}
+
+// メールの形で作ったときのクイックメニュー
+function emailQuickReplyItems(tone) {
+  return [
+    ...toneChangeItems(tone),
+    {
+      type: 'action',
+      action: { type: 'message', label: '✉️ メール設定', text: 'メール設定' },
+    },
+    homeButton(),
+    settingsButton(),
+  ];
+}
+
+// 「設定」画面用のクイックメニュー（レベル・用途・文体・かんたん設定・翻訳先・メール）
+function homeQuickReplyItems() {
+  return [
+    postbackItem('🎯 レベル', { action: 'menu', name: 'level' }, 'レベルを設定'),
+    postbackItem('📮 用途', { action: 'menu', name: 'usage' }, '用途を設定'),
+    postbackItem('🎨 文体', { action: 'menu', name: 'tone' }, '文体を設定'),
+    postbackItem('🧩 かんたん設定', { action: 'menu', name: 'preset' }, 'かんたん設定'),
+    postbackItem('🌐 翻訳先', { action: 'menu', name: 'language' }, '翻訳先の言語を設定'),
+    postbackItem('✉️ メール', { action: 'menu', name: 'email' }, 'メールの設定'),
+    {
+      type: 'action',
+      action: { type: 'message', label: '❓ 使い方', text: '使い方' },
+    },
+  ];
+}
+
+// ---------- 表示ラベル系 ----------
+
+function usageSceneLabel(usage_default) {
+  switch (usage_default) {
+    case 'CHAT_FRIEND':
+      return '友だち・同僚とのチャット';
+    case 'MAIL_INTERNAL':
+      return '社内メール';
+    case 'MAIL_EXTERNAL':
+      return '社外メール（お客様・取引先向け）';
+    default:
+      return '友だち・同僚とのチャット';
+  }
+}
+
+function toneLabel(tone_default) {
+  switch (tone_default) {
+    case 'casual':
+      return 'カジュアル（友だち向け）';
+    case 'business':
+      return 'ビジネス（かっちりめ）';
+    default:
+      return '丁寧（フラット）';
+  }
+}
+
+// バッジ・ボタンなど短く出したいところ用
+const TONE_SHORT_LABELS = {
+  casual: 'カジュアル',
+  polite: '丁寧',
+  business: 'ビジネス',
+};
+
+function usageShortLabel(usage_default) {
+  switch (usage_default) {
+    case 'MAIL_INTERNAL':
+      return '社内メール';
+    case 'MAIL_EXTERNAL':
+      return '社外メール';
+    default:
+      return 'チャット';
+  }
+}
+
+// いちおう残しておくが UI ではほぼ使わない
+function englishStyleLabel(style) {
+  if (style === 'american') return 'アメリカ英語';
+  if (style === 'british') return 'イギリス英語';
+  return '日本人英語';
+}
+
+function levelLabel(user) {
+  if (user.level_type === 'eiken') {
+    const v = (user.level_value || '').toLowerCase();
+    switch (v) {
+      case '5':
+        return '英検5級';
+      case '4':
+        return '英検4級';
+      case '3':
+        return '英検3級';
+      case 'pre2':
+        return '英検準2級';
+      case '2':
+        return '英検2級';
+      case 'pre1':
+        return '英検準1級';
+      case '1':
+        return '英検1級';
+      default:
+        return '英検レベル（ざっくり）';
+    }
+  }
+  if (user.level_type === 'toeic') {
+    const v = user.level_value || '';
+    switch (v) {
+      case 'under400':
+        return 'TOEIC 〜400 くらい';
+      case '400_600':
+        return 'TOEIC 400–600 くらい';
+      case '600_800':
+        return 'TOEIC 600–800 くらい';
+      case 'over800':
+        return 'TOEIC 800+ くらい';
+      default:
+        return 'TOEIC レベル（ざっくり）';
+    }
+  }
+  return 'ざっくりレベル';
+}
+
+// ホーム表示用
+function buildHomeText() {
+  return '翻訳したい日本語か英語の文を、そのまま送ってください。';
+}
+
+// 設定内容の要約
+function buildSettingsSummary(user) {
+  return (
+    'いまの設定はこんな感じです：\n' +
+    `・レベル：${levelLabel(user)}\n` +
+    `・よく使う場面：${usageSceneLabel(user.usage_default)}\n` +
+    `・文体：${toneLabel(user.tone_default)}\n` +
+    `・翻訳先：${LANGUAGES[languageOrEnglish(user.target_language)].label}\n`
+  );
+}
+
+// 設定画面用：現在の設定での英文イメージ
+function getSettingsExampleSentence(user) {
+  const ja =
+    '明日の打ち合わせの開始時間を、少し遅らせられないか相談したいです。';
+
+  const usage = user.usage_default || 'CHAT_FRIEND';
+  const tone = user.tone_default || 'polite';
+  const key = `${usage}_${tone}`;
+
+  let en;
+
+  switch (key) {
+    case 'CHAT_FRIEND_casual':
+      en = "Can we move our meeting tomorrow a bit later?";
+      break;
+    case 'CHAT_FRIEND_polite':
+      en = "Could we maybe move our meeting tomorrow a little later?";
+      break;
+    case 'CHAT_FRIEND_business':
+      en =
+        "I'd like to ask if we can move our meeting tomorrow to a later time.";
+      break;
+
+    case 'MAIL_INTERNAL_casual':
+      en = "Can we push tomorrow's meeting back a little?";
+      break;
+    case 'MAIL_INTERNAL_polite':
+      en =
+        "Could we reschedule tomorrow's meeting to a slightly later time?";
+      break;
+    case 'MAIL_INTERNAL_business':
+      en =
+        "I was wondering if we could reschedule tomorrow's meeting to a slightly later time.";
+      break;
+
+    case 'MAIL_EXTERNAL_casual':
+      en =
+        "Could we move our meeting tomorrow to a little later time, if that works for you?";
+      break;
+    case 'MAIL_EXTERNAL_polite':
+      en =
+        "I was wondering if we could move our meeting tomorrow to a slightly later time.";
+      break;
+    case 'MAIL_EXTERNAL_business':
+      en =
+        "I would like to ask if it would be possible to reschedule our meeting tomorrow to a slightly later time.";
+      break;
+
+    default:
+      en =
+        "Could we move tomorrow's meeting to a slightly later time, if possible?";
+  }
+
+  return { ja, en };
+}
+
+// ---------- Flex Message ----------
+// 翻訳結果をカードで出す。長すぎて Flex に収まらないときは従来のテキストに戻す
+
+const FLEX_MAX_TEXT_LENGTH = 1000; // コピー用 clipboardText の上限にもあわせる
+const FLEX_HEADER_COLORS = {
+  JA_TO_EN: '#1E88E5',
+  EN_TO_JA: '#43A047',
+};
+
+function flexAltText(text) {
+  const oneLine = (text || '').replace(/\s+/g, ' ').trim();
+  return oneLine.length > 100 ? oneLine.slice(0, 100) + '…' : oneLine || '翻訳結果';
+}
+
+function flexBadge(text) {
+  return {
+    type: 'box',
+    layout: 'vertical',
+    flex: 0,
+    backgroundColor: '#EEEEEE',
+    cornerRadius: '8px',
+    paddingAll: '4px',
+    paddingStart: '8px',
+    paddingEnd: '8px',
+    contents: [{ type: 'text', text, size: 'xxs', color: '#555555' }],
+  };
+}
+
+// レベル・用途・文体のバッジ列（toneOverride があればそちらを出す）
+// 英語のレベルは英語を作るときだけ効くので、ほかの言語に訳したときはバッジを出さない
+function flexSettingsBadges(user, toneOverride, language = 'en') {
+  const tone = toneOverride || user.tone_default;
+  const badges = [
+    flexBadge(usageShortLabel(user.usage_default)),
+    flexBadge(TONE_SHORT_LABELS[tone] || TONE_SHORT_LABELS.polite),
+  ];
+  if (language === 'en') {
+    badges.unshift(flexBadge(levelLabel(user)));
+  }
+  return {
+    type: 'box',
+    layout: 'horizontal',
+    spacing: 'sm',
+    contents: badges,
+  };
+}
+
+function flexHeader(title, direction) {
+  return {
+    type: 'box',
+    layout: 'vertical',
+    backgroundColor: FLEX_HEADER_COLORS[direction],
+    paddingAll: '12px',
+    contents: [{ type: 'text', text: title, color: '#FFFFFF', weight: 'bold', size: 'sm' }],
+  };
+}
+
+// 日本語から作った訳文（output は language の文）。en 以外なら見出し・コピーボタンをその言語向けにする
+function jaToTargetMessage({ user, sourceText, output, tone, note, language = 'en', quickReply }) {
+  const totalLength = sourceText.length + output.length + (note || '').length;
+  if (totalLength > FLEX_MAX_TEXT_LENGTH) {
+    return { type: 'text', text: note ? `${output}\n\n${note}` : output, quickReply };
+  }
+
+  const bodyContents = [{ type: 'text', text: output, wrap: true, size: 'md' }];
+  if (note) {
+    bodyContents.push({ type: 'text', text: note, wrap: true, size: 'xs', color: '#888888' });
+  }
+  bodyContents.push(
+    { type: 'separator' },
+    { type: 'text', text: sourceText, wrap: true, size: 'xs', color: '#888888' },
+    flexSettingsBadges(user, tone, language)
+  );
+
+  return {
+    type: 'flex',
+    altText: flexAltText(output),
+    contents: {
+      type: 'bubble',
+      header: flexHeader(
+        `🇯🇵 → ${LANGUAGES[language].flag} ${translationLabel(language)}`,
+        'JA_TO_EN'
+      ),
+      body: { type: 'box', layout: 'vertical', spacing: 'md', contents: bodyContents },
+      footer: {
+        type: 'box',
+        layout: 'vertical',
+        contents: [
+          {
+            type: 'button',
+            style: 'link',
+            height: 'sm',
+            action: {
+              type: 'clipboard',
+              label: language === 'en' ? '📋 英文をコピー' : '📋 訳文をコピー',
+              clipboardText: output,
+            },
+          },
+        ],
+      },
+    },
+    quickReply,
+  };
+}
+
+function flexGlossaryRow(g, index, translationId) {
+  const texts = [{ type: 'text', text: g.term, weight: 'bold', size: 'sm', wrap: true }];
+  if (g.meaning_ja) {
+    texts.push({ type: 'text', text: g.meaning_ja, size: 'xs', wrap: true });
+  }
+  if (g.note_ja) {
+    texts.push({ type: 'text', text: g.note_ja, size: 'xxs', color: '#888888', wrap: true });
+  }
+
+  const row = {
+    type: 'box',
+    layout: 'horizontal',
+    spacing: 'sm',
+    contents: [{ type: 'box', layout: 'vertical', flex: 1, contents: texts }],
+  };
+
+  // 保存ボタンは履歴の id から用語を引き直す（data は 300 文字まで）
+  if (translationId) {
+    row.contents.push({
+      type: 'button',
+      style: 'secondary',
+      height: 'sm',
+      flex: 0,
+      gravity: 'center',
+      action: {
+        type: 'postback',
+        label: '📒 保存',
+        data: new URLSearchParams({ action: 'vocab_save', tid: translationId, i: index }).toString(),
+        displayText: `「${g.term}」を単語帳に保存`,
+      },
+    });
+  }
+  return row;
+}
+
+function enToJaMessage({
+  user,
+  sourceText,
+  ja,
+  glossary,
+  translationId,
+  language = 'en',
+  quickReply,
+}) {
+  const items = (glossary || []).filter((g) => g && g.term);
+  const totalLength =
+    sourceText.length +
+    ja.length +
+    items.reduce(
+      (sum, g) => sum + g.term.length + (g.meaning_ja || '').length + (g.note_ja || '').length,
+      0
+    );
+  if (totalLength > FLEX_MAX_TEXT_LENGTH) {
+    return { type: 'text', text: buildEnToJaText(ja, glossary), quickReply };
+  }
+
+  const bodyContents = [
+    { type: 'text', text: ja, wrap: true, size: 'md' },
+    { type: 'text', text: sourceText, wrap: true, size: 'xs', color: '#888888' },
+  ];
+  if (items.length > 0) {
+    bodyContents.push(
+      { type: 'separator' },
+      { type: 'text', text: '📚 チェックしておきたい単語・表現', size: 'xs', weight: 'bold' }
+    );
+    items.forEach((g) => {
+      bodyContents.push(flexGlossaryRow(g, glossary.indexOf(g), translationId));
+    });
+  }
+  bodyContents.push(flexSettingsBadges(user));
+
+  return {
+    type: 'flex',
+    altText: flexAltText(ja),
+    contents: {
+      type: 'bubble',
+      header: flexHeader(`${LANGUAGES[language].flag} → 🇯🇵 和訳`, 'EN_TO_JA'),
+      body: { type: 'box', layout: 'vertical', spacing: 'md', contents: bodyContents },
+    },
+    quickReply,
+  };
+}
+
+// ---------- AI 呼び出しの保護 ----------
+// タイムアウト・回数を決めたリトライ（指数バックオフ）・サーキットブレーカー
+// 続けて失敗しているあいだは待たずにすぐ失敗させる（ユーザーには「もう一度」ボタン付きで謝る）
+
+const AI_TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS) || 20000;
+const AI_MAX_RETRIES = process.env.AI_MAX_RETRIES ? Number(process.env.AI_MAX_RETRIES) : 2;
+const AI_RETRY_BASE_MS = Number(process.env.AI_RETRY_BASE_MS) || 500;
+const AI_BREAKER_THRESHOLD = 5; // やり直しても失敗した呼び出しがこれだけ続いたら止める
+const AI_BREAKER_COOLDOWN_MS = 30 * 1000;
+
+function aiUnavailableError(name) {
+  const err = new Error(`${name} is temporarily unavailable`);
+  err.code = 'AI_UNAVAILABLE';
+  return err;
+}
+
+// 接続が切れた・つながらないときのエラーコード（fetch のエラーは cause に本当のコードが入る）
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// タイムアウト・408・429・5xx・通信エラーはやり直す価値がある。
+// 400 や 401、ステータスのないプログラムの不具合（TypeError など）は何度やっても同じ
+function isRetryableAiError(err) {
+  if (!err) return false;
+  if (err.code === 'AI_TIMEOUT' || err.name === 'AbortError') return true;
+  if (err instanceof OpenAI.APIConnectionError) return true;
+  if (RETRYABLE_NETWORK_CODES.has(err.code)) return true;
+  if (err.cause && RETRYABLE_NETWORK_CODES.has(err.cause.code)) return true;
+  if (typeof err.status !== 'number') return false;
+  return err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// fn(signal) を時間内に終わらせる。時間切れなら signal で中断を伝えて AI_TIMEOUT で失敗させる
+async function withTimeout(fn, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const err = new Error(`AI call timed out after ${timeoutMs}ms`);
+      err.code = 'AI_TIMEOUT';
+      reject(err);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 呼び出し先（LLM・STT・TTS）ごとに 1 つ作る。call(fn) の fn は signal を受け取って Promise を返す
+function createResilientCaller(name) {
+  const breaker = { failures: 0, openedAt: null };
+
+  return {
+    name,
+    breaker,
+    async call(fn) {
+      const halfOpen = breaker.openedAt !== null;
+      if (halfOpen && Date.now() - breaker.openedAt < AI_BREAKER_COOLDOWN_MS) {
+        throw aiUnavailableError(name);
+      }
+
+      // 冷却期間明けは様子見の 1 回だけ（リトライしない）
+      const maxAttempts = halfOpen ? 1 : AI_MAX_RETRIES + 1;
+      let lastError;
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        if (attempt > 0) {
+          await sleep(AI_RETRY_BASE_MS * 2 ** (attempt - 1) * (1 + Math.random() * 0.5));
+        }
+        try {
+          const result = await withTimeout(fn, AI_TIMEOUT_MS);
+          breaker.failures = 0;
+          breaker.openedAt = null;
+          return result;
+        } catch (err) {
+          lastError = err;
+          if (!isRetryableAiError(err)) throw err;
+        }
+      }
+
+      breaker.failures += 1;
+      if (halfOpen || breaker.failures >= AI_BREAKER_THRESHOLD) {
+        breaker.openedAt = Date.now();
+      }
+      throw lastError;
+    },
+  };
+}
+
+// ---------- LLM プロバイダ ----------
+// プロバイダは { name, chat({ feature, model, temperature, messages, signal }) => Promise<{ content, usage, model }> } の形
+// feature は 'JA_TO_EN' | 'EN_TO_JA' | 'EMAIL' | 'EMAIL_REPLY' | 'ONE_POINT_LESSON' | 'CANDIDATES' | 'OCR'
+
+function createOpenAiChatProvider(client, name = 'openai') {
+  return {
+    name,
+    async chat({ model, temperature, messages, signal }) {
+      // リトライは createResilientCaller 側でやるので SDK のリトライは切る
+      const completion = await client.chat.completions.create(
+        { model, temperature, messages },
+        { signal, maxRetries: 0 }
+      );
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        usage: completion.usage || null,
+        model: completion.model || model,
+      };
+    },
+  };
+}
+
+// オフライン用の固定出力。LLM_MOCK_FIXTURES の JSON で機能ごとに上書きできる
+// 各機能は [{ includes: 'プロンプトに含まれる文字列', output: '...' }, ...]。includes なしは既定値
+// output の代わりに error: { status, code, message } を書くと失敗させられる。times を書くとその回数だけ使う
+const DEFAULT_MOCK_FIXTURES = {
+  JA_TO_EN: [{ output: 'Could we move the meeting to a slightly later time?' }],
+  EMAIL: [
+    {
+      output: JSON.stringify({
+        subject: "Request to reschedule tomorrow's meeting",
+        greeting: 'Hi,',
+        body:
+          "Could we move tomorrow's meeting to a slightly later time?\n" +
+          'Please let me know if that works for you.',
+        closing: 'Best regards,',
+      }),
+    },
+  ],
+  EMAIL_REPLY: [
+    {
+      output: JSON.stringify({
+        subject: 'Re: Project schedule',
+        greeting: 'Dear Ms. Brown,',
+        body:
+          'Thank you for your email.\n' +
+          '> Could you let us know your availability next week?\n' +
+          'Next Tuesday works for me.',
+        closing: 'Best regards,',
+      }),
+    },
+  ],
+  EN_TO_JA: [
+    {
+      output: JSON.stringify({
+        ja: '会議を少し遅い時間にずらせますか？',
+        glossary: [
+          {
+            term: 'reschedule',
+            meaning_ja: '予定を組み直す',
+            note_ja: '日時をあらためて決め直すイメージです。',
+          },
+        ],
+      }),
+    },
+  ],
+  ONE_POINT_LESSON: [
+    {
+      output:
+        'Would it be possible to push the meeting back a little?\n\n' +
+        '🔎 ポイント:\n・push back は「予定を後ろにずらす」という意味でよく使われます。',
+    },
+  ],
+  CANDIDATES: [
+    {
+      output: JSON.stringify({
+        candidates: [
+          { style: 'direct', en: 'Can we start the meeting later?' },
+          { style: 'softer', en: 'Would it be okay to start the meeting a bit later?' },
+          { style: 'shorter', en: 'Start later?' },
+        ],
+      }),
+    },
+  ],
+  OCR: [{ output: "Today's special: grilled salmon" }],
+};
+
+function loadMockFixtures() {
+  const fixtures = { ...DEFAULT_MOCK_FIXTURES };
+  if (process.env.LLM_MOCK_FIXTURES) {
+    const custom = JSON.parse(fs.readFileSync(process.env.LLM_MOCK_FIXTURES, 'utf8'));
+    Object.assign(fixtures, custom);
+  }
+  return fixtures;
+}
+
+// 画像は URL で includes に当てる（data URL なら MIME タイプも入る）
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || [])
+    .map((part) => (part.type === 'image_url' ? part.image_url.url : part.text || ''))
+    .join('\n');
+}
+
+function createMockChatProvider(fixtures = loadMockFixtures()) {
+  const used = new Map();
+  const available = (f) => f.times === undefined || (used.get(f) || 0) < f.times;
+
+  return {
+    name: 'mock',
+    async chat({ feature, model, messages }) {
+      const prompt = messages.map(messageText).join('\n');
+      const candidates = (fixtures[feature] || []).filter(available);
+      const hit =
+        candidates.find((f) => f.includes && prompt.includes(f.includes)) ||
+        candidates.find((f) => !f.includes);
+      if (!hit) {
+        throw new Error(`No mock fixture for feature: ${feature}`);
+      }
+      used.set(hit, (used.get(hit) || 0) + 1);
+
+      if (hit.error) {
+        const err = new Error(hit.error.message || 'Mock LLM error');
+        err.status = hit.error.status;
+        err.code = hit.error.code;
+        throw err;
+      }
+      return {
+        content: hit.output,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        model: model || 'mock',
+      };
+    },
+  };
+}
+
+function createLlmProvider(name) {
+  switch (name) {
+    case 'azure':
+      return createOpenAiChatProvider(
+        new OpenAI.AzureOpenAI({
+          endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+        }),
+        'azure'
+      );
+    case 'openai-compatible':
+      return createOpenAiChatProvider(
+        new OpenAI({
+          baseURL: process.env.LLM_BASE_URL,
+          apiKey: process.env.LLM_API_KEY || 'not-needed',
+        }),
+        'openai-compatible'
+      );
+    case 'mock':
+      return createMockChatProvider();
+    case 'openai':
+    default:
+      return createOpenAiChatProvider(getOpenAiClient());
+  }
+}
+
+function withResilience(provider) {
+  const caller = createResilientCaller(`llm:${provider.name}`);
+  return {
+    name: provider.name,
+    caller,
+    chat(request) {
+      return caller.call((signal) => provider.chat({ ...request, signal }));
+    },
+  };
+}
+
+// 呼び出しごとにトークン数・レイテンシ・概算費用を ai_usage に残す。
+// やり直しても失敗したときは status: 'error' で残す（トークン数と費用は分からないので null）
+// request.tags = { user, tone, feature }（feature はフィクスチャやモデル選択とは別の集計用。省略時は request.feature）
+function withUsageAccounting(provider) {
+  return {
+    name: provider.name,
+    async chat(request) {
+      const startedAt = Date.now();
+      const tags = request.tags || {};
+      const entry = {
+        tags,
+        feature: tags.feature || request.feature,
+        provider: provider.name,
+      };
+
+      let completion;
+      try {
+        completion = await provider.chat(request);
+      } catch (err) {
+        await recordAiUsageSafely({
+          ...entry,
+          model: request.model || null,
+          usage: null,
+          latencyMs: Date.now() - startedAt,
+          error: err,
+        });
+        throw err;
+      }
+
+      await recordAiUsageSafely({
+        ...entry,
+        model: completion.model,
+        usage: completion.usage,
+        latencyMs: Date.now() - startedAt,
+      });
+
+      return completion;
+    },
+  };
+}
+
+const llm = withUsageAccounting(
+  withResilience(createLlmProvider(process.env.LLM_PROVIDER || 'openai'))
+);
+
+function modelFor(feature) {
+  return process.env[`LLM_MODEL_${feature}`] || OPENAI_MODEL;
+}
+
+// ---------- 翻訳結果のキャッシュ ----------
+// 同じ文・同じ設定（プロンプトに入る値）・同じモデルなら LLM を呼ばずに前回の結果を返す
+// 1段目はプロセス内の LRU、2段目は TRANSLATION_CACHE_PERSISTENT=true のときの translation_cache テーブル
+// translation_cache テーブル：
+//   key (PRIMARY KEY), feature, value (jsonb), expires_at, created_at
+//   ※ expires_at を過ぎた行は読まない（古い行の掃除は DB 側で）
+
+// プロンプトを変えたら上げる（古いキャッシュを使わないように）
+const TRANSLATION_PROMPT_VERSIONS = {
+  JA_TO_EN: 1,
+  EN_TO_JA: 2,
+  EMAIL: 1,
+  EMAIL_REPLY: 1,
+};
+
+const TRANSLATION_CACHE_MAX = 500;
+const TRANSLATION_CACHE_TTL_MS =
+  (Number(process.env.TRANSLATION_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const TRANSLATION_CACHE_PERSISTENT = process.env.TRANSLATION_CACHE_PERSISTENT === 'true';
+
+const translationCache = new Map();
+
+// 全角・半角や空白の違いだけなら同じ文として扱う
+function normalizeForCache(text) {
+  return (text || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+function translationCacheKey(feature, sourceText, settings) {
+  const material = JSON.stringify([
+    feature,
+    TRANSLATION_PROMPT_VERSIONS[feature],
+    modelFor(feature),
+    settings,
+    normalizeForCache(sourceText),
+  ]);
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function rememberTranslation(key, entry) {
+  translationCache.delete(key);
+  translationCache.set(key, entry);
+  if (translationCache.size > TRANSLATION_CACHE_MAX) {
+    translationCache.delete(translationCache.keys().next().value);
+  }
+}
+
+async function readTranslationCache(key, now = new Date()) {
+  const cached = translationCache.get(key);
+  if (cached && new Date(cached.expiresAt) > now) {
+    // 最近使ったものを末尾へ（Map の挿入順で LRU）。呼び出し側が書き換えても影響しないようにコピーを返す
+    rememberTranslation(key, cached);
+    return structuredClone(cached.value);
+  }
+  if (cached) {
+    translationCache.delete(key);
+  }
+
+  if (!TRANSLATION_CACHE_PERSISTENT) return null;
+
+  // 永続キャッシュが読めなくても翻訳は続ける
+  try {
+    const row = await repo.getCachedTranslation(key);
+    if (!row || new Date(row.expires_at) <= now) return null;
+    rememberTranslation(key, { value: row.value, expiresAt: row.expires_at });
+    return row.value;
+  } catch (e) {
+    reportError('Read translation cache error', e);
+    return null;
+  }
+}
+
+async function writeTranslationCache(key, feature, value, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + TRANSLATION_CACHE_TTL_MS).toISOString();
+  rememberTranslation(key, { value, expiresAt });
+
+  if (!TRANSLATION_CACHE_PERSISTENT) return;
+
+  try {
+    await repo.putCachedTranslation({
+      key,
+      feature,
+      value,
+      expires_at: expiresAt,
+      created_at: now.toISOString(),
+    });
+  } catch (e) {
+    reportError('Write translation cache error', e);
+  }
+}
+
+// ---------- OpenAI 呼び出し ----------
+
+// プロンプトに入れるユーザー設定の説明（英語）
+function promptLevelText(user) {
+  return user.level_type === 'eiken'
+    ? levelLabel(user)
+    : user.level_type === 'toeic'
+    ? levelLabel(user)
+    : `rough level ${user.level_value || ''}`;
+}
+
+function promptUsageText(user) {
+  return {
+    CHAT_FRIEND: 'casual chat message with friends or colleagues',
+    MAIL_INTERNAL: 'polite internal business email inside a company',
+    MAIL_EXTERNAL: 'formal external business email to customers or partners',
+  }[user.usage_default] || 'casual chat message with friends or colleagues';
+}
+
+// スタイルは基本「日本人英語」想定
+function promptEnglishStyleText(user) {
+  switch (user.english_style) {
+    case 'american':
+      return 'American English: use natural US-style expressions, but avoid slang unless the tone is very casual.';
+    case 'british':
+      return 'British English: use natural UK-style expressions and spelling where relevant (e.g., organise, colour).';
+    case 'japanese':
+    case 'neutral':
+    default:
+      return 'Japanese learner English: globally understandable, safe, slightly modest tone, avoid heavy slang.';
+  }
+}
+
+// JSON で返すよう頼んでも ```json で囲ってくることがあるので外す
+function stripCodeFence(raw) {
+  let text = (raw || '').trim();
+  if (text.startsWith('```')) {
+    text = text.replace(/^```[a-zA-Z]*\n?/, '').replace(/```$/, '').trim();
+  }
+  return text;
+}
+
+// 英語向けのプロンプト（レベル・英語のスタイルも効かせる）
+function jaToEnglishPrompts(user, tone, sourceText) {
+  const levelText = promptLevelText(user);
+
+  const usageText = promptUsageText(user);
+
+  const englishStyleText = promptEnglishStyleText(user);
+
+  const system = `
+You are an English writing assistant for Japanese users.
+
+Concept:
+- The goal is to create sentences that feel like:
+ "This is how I would naturally write it," given the user's level, usual style, and context.
+
+Rules:
+- When the user sends Japanese, translate or rewrite it into natural English.
+- Consider the user's level, usage scene, tone, and English style carefully.
+- Usage scene:
+ - "casual chat message with friends or colleagues": more spoken, relaxed style.
+ - "polite internal business email inside a company": written, polite, but not too stiff.
+ - "formal external business email to customers or partners": more formal written business style.
+- Tone:
+ - "casual": use contractions (I'm, don't), natural spoken phrases, a friendly tone.
+ - "polite": neutral and polite, suitable for general business communication.
+ - "business": more formal, structured, and careful, but still concise.
+- IMPORTANT: If the tone changes (casual / polite / business), you MUST change wording or structure accordingly.
+ Never return exactly the same sentence for different tones.
+- English style:
+ Follow the description given (Japanese learner English / American English / British English).
+
+Output:
+- Output ONLY the English sentence(s).
+- No Japanese. No explanations. No quotes.
+- No bullet points unless the source text clearly uses multiple items.
+`.trim();
+
+  const prompt = `
+User level (approx): ${levelText}
+Usage scene: ${usageText}
+Tone: ${tone}
+English style: ${englishStyleText}
+
+Source language: Japanese
+
+Japanese text:
+${sourceText}
+`.trim();
+
+  return {
+    system,
+    prompt,
+    cacheSettings: [levelText, usageText, tone, englishStyleText],
+  };
+}
+
+// 英語以外の言語向けのプロンプト（レベル・英語のスタイルは英語用の設定なので使わない）
+function jaToForeignPrompts(user, tone, sourceText, language) {
+  const usageText = promptUsageText(user);
+  const name = LANGUAGES[language].prompt;
+
+  const system = `
+You are a ${name} writing assistant for Japanese users.
+
+Rules:
+- When the user sends Japanese, translate or rewrite it into natural ${name}.
+- Consider the usage scene and tone carefully.
+- Usage scene:
+ - "casual chat message with friends or colleagues": more spoken, relaxed style.
+ - "polite internal business email inside a company": written, polite, but not too stiff.
+ - "formal external business email to customers or partners": more formal written business style.
+- Tone:
+ - "casual": friendly, natural spoken phrases.
+ - "polite": neutral and polite, suitable for general business communication.
+ - "business": more formal, structured, and careful, but still concise.
+- IMPORTANT: If the tone changes (casual / polite / business), you MUST change wording or structure accordingly.
+- Prefer common, clear wording that the reader will understand immediately.
+
+Output:
+- Output ONLY the ${name} sentence(s).
+- No Japanese. No explanations. No quotes. No romanization.
+- No bullet points unless the source text clearly uses multiple items.
+`.trim();
+
+  const prompt = `
+Usage scene: ${usageText}
+Tone: ${tone}
+Target language: ${name}
+
+Source language: Japanese
+
+Japanese text:
+${sourceText}
+`.trim();
+
+  return { system, prompt, cacheSettings: [usageText, tone, language] };
+}
+
+// usageFeature は利用量の集計用（トーン変更からの呼び出しは 'TONE_CHANGE'）
+// rephrase は「別の言い方」：キャッシュを使わず、少し高めの temperature で作り直す
+// targetLanguage（LANGUAGES のキー。省略時は英語）の文を作る
+async function generateTranslationFromJapanese({
+  user,
+  sourceText,
+  toneOverride,
+  targetLanguage,
+  usageFeature = 'JA_TO_EN',
+  rephrase = false,
+}) {
+  const tone = toneOverride || user.tone_default; // 'casual' | 'polite' | 'business'
+  const language = languageOrEnglish(targetLanguage);
+
+  const { system, prompt, cacheSettings } =
+    language === 'en'
+      ? jaToEnglishPrompts(user, tone, sourceText)
+      : jaToForeignPrompts(user, tone, sourceText, language);
+
+  const cacheKey = translationCacheKey('JA_TO_EN', sourceText, cacheSettings);
+  if (!rephrase) {
+    const cached = await readTranslationCache(cacheKey);
+    if (cached) return cached;
+  }
+
+  const completion = await llm.chat({
+    feature: 'JA_TO_EN',
+    model: modelFor('JA_TO_EN'),
+    temperature: rephrase ? 0.9 : 0.4,
+    tags: { user, tone, feature: rephrase ? 'REPHRASE' : usageFeature },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt },
+    ],
+  });
+
+  const content = completion.content.trim();
+  if (content && !rephrase) {
+    await writeTranslationCache(cacheKey, 'JA_TO_EN', content);
+  }
+  return content;
+}
+
+// 用途が社内メール・社外メールのときは、1 文ではなくメールの形（件名・書き出し・本文・結び）で作る
+function isEmailScene(user) {
+  return user.usage_default === 'MAIL_INTERNAL' || user.usage_default === 'MAIL_EXTERNAL';
+}
+
+// 署名はユーザーの設定からこちらで組み立てるので、LLM には書かせない
+// 返り値は { subject, greeting, body, closing }
+async function generateEmailFromJapanese({
+  user,
+  sourceText,
+  toneOverride,
+  targetLanguage,
+  usageFeature = 'EMAIL',
+  rephrase = false,
+}) {
+  const tone = toneOverride || user.tone_default;
+  const language = languageOrEnglish(targetLanguage);
+  const name = LANGUAGES[language].prompt;
+  const usageText = promptUsageText(user);
+  const levelText =
+    language === 'en' ? promptLevelText(user) : `not applicable (writing in ${name})`;
+  const sender =
+    [user.email_sender_name, user.email_sender_title, user.email_company]
+      .filter(Boolean)
+      .join(' / ') || 'not given';
+  const recipient = user.email_recipient_name || 'not given';
+
+  const cacheKey = translationCacheKey('EMAIL', sourceText, [
+    levelText,
+    usageText,
+    tone,
+    language,
+    sender,
+    recipient,
+  ]);
+  if (!rephrase) {
+    const cached = await readTranslationCache(cacheKey);
+    if (cached) return cached;
+  }
+
+  const systemPrompt = `
+You are an email writing assistant for Japanese users who write emails in ${name}.
+
+Tasks:
+1. Turn the Japanese text into a complete ${name} email for the given usage scene and tone.
+2. Write a short, specific subject line.
+3. Write a greeting to the recipient. If the recipient is not given, use a natural generic greeting for the scene.
+4. Write the body in natural ${name}. Keep every fact in the Japanese text; do not invent dates, numbers or promises.
+5. Write a closing phrase (e.g. "Best regards,"). Do NOT write the sender's name or signature; it is added separately.
+
+Style:
+- Usage scene: "polite internal business email inside a company" is written and polite but not too stiff;
+ "formal external business email to customers or partners" is more formal.
+- Tone: "casual" is friendly, "polite" is neutral and polite, "business" is formal, structured and careful.
+- Use vocabulary and grammar close to the user's level so that they could have written it themselves.
+
+Return ONLY a JSON object with this shape:
+
+{
+ "subject": "件名",
+ "greeting": "書き出し（宛名を含む 1 行）",
+ "body": "本文（段落は \\n で区切る）",
+ "closing": "結びのことば"
+}
+
+Rules:
+- No extra text. No comments. No Markdown. No backticks.
+`.trim();
+
+  const userPrompt = `
+Usage scene: ${usageText}
+Tone: ${tone}
+User level (approx): ${levelText}
+Sender: ${sender}
+Recipient: ${recipient}
+Email language: ${name}
+
+Japanese text:
+${sourceText}
+`.trim();
+
+  const completion = await llm.chat({
+    feature: 'EMAIL',
+    model: modelFor('EMAIL'),
+    temperature: rephrase ? 0.9 : 0.4,
+    tags: { user, tone, feature: rephrase ? 'REPHRASE' : usageFeature },
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+  });
+
+  const { email, parsed } = parseEmailJson(completion.content);
+  if (parsed && email.body && !rephrase) {
+    await writeTranslationCache(cacheKey, 'EMAIL', email);
+  }
+  return email;
+}
+
+// JSON として読めなければ、全文を本文として扱う（parsed: false のものはキャッシュしない）
+function parseEmailJson(content) {
+  const raw = stripCodeFence(content);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    reportError('JSON parse error from OpenAI', e, raw);
+    return { email: { subject: '', greeting: '', body: raw, closing: '' }, parsed: false };
+  }
+
+  const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+  return {
+    email: {
+      subject: asText(parsed.subject),
+      greeting: asText(parsed.greeting),
+      body: asText(parsed.body),
+      closing: asText(parsed.closing),
+    },
+    parsed: true,
+  };
+}
+
+// 受け取ったメール（originalText）への返信を、ユーザーが日本語で書いた内容（sourceText）から作る
+// 言い回しのかたさは元のやりとりに合わせる。返り値は generateEmailFromJapanese と同じ形
+async function generateEmailReply({
+  user,
+  originalText,
+  sourceText,
+  toneOverride,
+  language: replyLanguage,
+  usageFeature = 'EMAIL_REPLY',
+  rephrase = false,
+}) {
+  const tone = toneOverride || user.tone_default;
+  const language = languageOrEnglish(replyLanguage);
+  const name = LANGUAGES[language].prompt;
+  const usageText = promptUsageText(user);
+  const levelText =
+    language === 'en' ? promptLevelText(user) : `not applicable (writing in ${name})`;
+  const sender =
+    [user.email_sender_name, user.email_sender_title, user.email_company]
+      .filter(Boolean)
+      .join(' / ') || 'not given';
+
+  const cacheKey = translationCacheKey('EMAIL_REPLY', sourceText, [
+    levelText,
+    usageText,
+    tone,
+    language,
+    sender,
+    normalizeForCache(originalText),
+  ]);
+  if (!rephrase) {
+    const cached = await readTranslationCache(cacheKey);
+    if (cached) return cached;
+  }
+
+  const systemPrompt = `
+You are an assistant that helps Japanese users reply to messages they received in ${name}.
+
+Tasks:
+1. Read the original message the user received.
+2. Write a reply in ${name} that says what the user wants to say. Their intent is given in Japanese.
+3. Refer to the original naturally (e.g. thank them for the email, answer their questions in the same order).
+ When it helps, quote one short line of the original with "> " right before answering it.
+4. Match the formality of the original thread: reply formally to a formal email, and in a similar relaxed way
+ to a casual one (first names, short sentences). When the user's tone setting conflicts, the original comes first.
+5. Use vocabulary and grammar close to the user's level so that they could have written it themselves.
+6. Do not invent facts, dates, numbers or promises that are not in the user's Japanese text.
+
+Return ONLY a JSON object with this shape:
+
+{
+ "subject": "Re: 元の件名（元のメッセージに件名がなければ空）",
+ "greeting": "書き出し（宛名を含む 1 行）",
+ "body": "本文（段落は \\n で区切る）",
+ "closing": "結びのことば"
+}
+
+Rules:
+- If the original is a short chat message rather than an email, leave "subject", "greeting" and "closing" empty.
+- Do NOT write the sender's name or signature; it is added separately.
+- No extra text. No comments. No Markdown. No backticks.
+`.trim();
+
+  const userPrompt = `
+User level (approx): ${levelText}
+Usage scene: ${usageText}
+Tone: ${tone}
+Sender: ${sender}
+Reply language: ${name}
+
+Original message:
+${originalText}
+
+What the user wants to say (Japanese):
+${sourceText}
+`.trim();
+
+  const completion = await llm.chat({
+    feature: 'EMAIL_REPLY',
+    model: modelFor('EMAIL_REPLY'),
+    temperature: rephrase ? 0.9 : 0.4,
+    tags: { user, tone, feature: rephrase ? 'REPHRASE' : usageFeature },
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+  });
+
+  const { email, parsed } = parseEmailJson(completion.content);
+  if (parsed && email.body && !rephrase) {
+    await writeTranslationCache(cacheKey, 'EMAIL_REPLY', email);
+  }
+  return email;
+}
+
+// sourceLanguage（LANGUAGES のキー。省略時は英語）の文を和訳する。レベルは英語のレベルなので英語のときだけ使う
+async function explainEnglishToJapaneseWithGlossary({ user, sourceText, sourceLanguage }) {
+  const language = languageOrEnglish(sourceLanguage);
+  const name = LANGUAGES[language].prompt;
+  const levelText =
+    language === 'en' ? promptLevelText(user) : `beginner learner of ${name}`;
+
+  const cacheKey = translationCacheKey('EN_TO_JA', sourceText, [levelText, language]);
+  const cached = await readTranslationCache(cacheKey);
+  if (cached) return cached;
+
+  const systemPrompt = `
+You are a translator from ${name} to Japanese and a tutor for Japanese learners.
+
+Concept:
+- Focus on words and expressions that are likely to be unfamiliar or slightly above the user's level.
+- Do NOT waste space on very basic words (e.g., good, go, big, today).
+
+Tasks:
+1. Translate the ${name} text into natural Japanese.
+2. Pick 0–5 words or expressions that might be difficult for the user (based on the given level).
+3. For each, provide:
+  - the ${name} term
+  - a short Japanese meaning
+  - an optional short note in Japanese (1 sentence), e.g. nuance or a "movie-style" paraphrase.
+
+User level will be given (e.g., EIKEN or TOEIC band for English), so keep explanations simple.
+
+Return ONLY a JSON object with this shape:
+
+{
+ "ja": "自然な日本語訳",
+ "glossary": [
+   {
+     "term": "${LANGUAGES[language].label}の単語や表現（必ず${LANGUAGES[language].label}で）",
+     "meaning_ja": "日本語の意味（1フレーズ）",
+     "note_ja": "やさしい日本語での補足（1文以内。映画のセリフ風の意訳コメントがあってもよい）"
+   }
+ ]
+}
+
+Rules:
+- Pick vocabulary or expressions that are slightly above or around the user's level.
+- Avoid very basic, textbook-level vocabulary.
+- Each "note_ja" should be short (ideally one short sentence).
+- No extra text. No comments. No Markdown. No backticks.
+`.trim();
+
+  const userPrompt = `
+User level: ${levelText}
+
+${name} text:
+${sourceText}
+`.trim();
+
+  const completion = await llm.chat({
+    feature: 'EN_TO_JA',
+    model: modelFor('EN_TO_JA'),
+    temperature: 0.3,
+    tags: { user },
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+  });
+
+  const raw = stripCodeFence(completion.content);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    reportError('JSON parse error from OpenAI', e, raw);
+    return {
+      ja: raw,
+      glossary: [],
+    };
+  }
+
+  // JSON として読めた結果だけキャッシュする
+  const result = {
+    ja: parsed.ja || '',
+    glossary: Array.isArray(parsed.glossary) ? parsed.glossary : [],
+  };
+  if (result.ja) {
+    await writeTranslationCache(cacheKey, 'EN_TO_JA', result);
+  }
+  return result;
+}
+
+// 候補のスタイル（表示順もこの順）
+const CANDIDATE_STYLES = {
+  direct: 'そのまま',
+  softer: 'やわらかめ',
+  shorter: '短め',
+};
+
+async function generateEnglishCandidates({ user, sourceText }) {
+  const systemPrompt = `
+You are an English writing assistant for Japanese users.
+
+Task:
+- Write 2 or 3 clearly different English versions of the user's Japanese text.
+- Each version must fit the user's level, usage scene, tone, and English style.
+- Styles:
+ - "direct": a straightforward, faithful version.
+ - "softer": a gentler, more indirect or cushioned version.
+ - "shorter": a noticeably shorter, more compact version.
+- The versions must differ in wording or structure, not only in punctuation.
+- If two styles would end up almost identical, omit one (minimum 2 candidates).
+
+Return ONLY a JSON object with this shape:
+
+{
+ "candidates": [
+   { "style": "direct" | "softer" | "shorter", "en": "English sentence(s)" }
+ ]
+}
+
+Rules:
+- No Japanese in "en". No explanations. No Markdown. No backticks.
+`.trim();
+
+  const userPrompt = `
+User level (approx): ${promptLevelText(user)}
+Usage scene: ${promptUsageText(user)}
+Tone: ${user.tone_default}
+English style: ${promptEnglishStyleText(user)}
+
+Japanese text:
+${sourceText}
+`.trim();
+
+  const completion = await llm.chat({
+    feature: 'CANDIDATES',
+    model: modelFor('CANDIDATES'),
+    temperature: 0.7,
+    tags: { user, tone: user.tone_default },
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+  });
+
+  const raw = stripCodeFence(completion.content);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    reportError('JSON parse error from OpenAI', e, raw);
+    return [];
+  }
+
+  const candidates = Array.isArray(parsed.candidates) ? parsed.candidates : [];
+  return candidates
+    .filter((c) => c && CANDIDATE_STYLES[c.style] && c.en && c.en.trim())
+    .map((c) => ({ style: c.style, en: c.en.trim() }))
+    .slice(0, 3);
+}
+
+async function generateOnePointLesson(en, user) {
+  const systemPrompt = `
+You are an English coach for Japanese learners.
+The user has decided to use the following English sentence(s).
+You will give a friendly, polite "native-like" suggestion.
+
+Concept:
+- Do NOT blame or correct the user.
+- Assume the sentence is already acceptable.
+- You just show: "If a native speaker said it, it might sound like this."
+
+Output format (in Japanese, except for the English example):
+
+<one native-like English example>
+
+🔎 ポイント:
+・どんな場面・ニュアンスでよく使われるかを2〜3行で説明
+・「こういう言い方もよく使われます」「この表現は〜という雰囲気です」のように、
+  追加の選択肢として紹介する
+・余裕があれば、1つの単語や表現について軽く由来やイメージ（root やニュアンス）を1行だけ触れてもよい
+
+Rules:
+- Do NOT restate the original user sentence.
+- Do NOT出力 any title line like "✨ よりネイティブに近づけた表現なら〜".
+- Just start with the English example, then the Japanese「🔎 ポイント:」行。
+- Total 3〜7行くらいに収める。
+- トーンはフレンドリーで、上から目線にならない。
+- 日本語はできるだけシンプルに。
+`.trim();
+
+  const userPrompt = `User sentence (already acceptable):\n${en}`;
+
+  const completion = await llm.chat({
+    feature: 'ONE_POINT_LESSON',
+    model: modelFor('ONE_POINT_LESSON'),
+    temperature: 0.5,
+    tags: { user },
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+  });
+
+  return completion.content.trim();
+}
+
+// ---------- 画像の文字読み取り（OCR） ----------
+// プロバイダは { name, extractText(buffer, { mimeType, user }) => Promise<string> } の形
+
+// 画像の読み取りも LLM プロバイダ経由（azure や mock でもそのまま動く）
+function createLlmOcrProvider() {
+  return {
+    name: 'llm',
+    async extractText(buffer, { mimeType = 'image/jpeg', user } = {}) {
+      const completion = await llm.chat({
+        feature: 'OCR',
+        model: modelFor('OCR'),
+        temperature: 0,
+        tags: { user },
+        messages: [
+          {
+            role: 'system',
+            content:
+              'You are an OCR engine. Extract all readable text from the image exactly as written, ' +
+              'keeping line breaks. Do not translate, summarize or explain. ' +
+              'If there is no readable text, return an empty string.',
+          },
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'image_url',
+                image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` },
+              },
+            ],
+          },
+        ],
+      });
+      return completion.content.trim();
+    },
+  };
+}
+
+// テスト・ローカル確認用：画像の中身に関係なく決まった文字を返す
+function createStubOcrProvider(text = process.env.OCR_STUB_TEXT || '') {
+  return {
+    name: 'stub',
+    async extractText() {
+      return text;
+    },
+  };
+}
+
+function createOcrProvider(name) {
+  switch (name) {
+    case 'stub':
+      return createStubOcrProvider();
+    case 'llm':
+    case 'openai':
+    default:
+      return createLlmOcrProvider();
+  }
+}
+
+const ocrProvider = createOcrProvider(process.env.OCR_PROVIDER || 'llm');
+
+// ---------- 音声の文字起こし（STT） ----------
+// プロバイダは { name, transcribe(buffer, { fileName }) => Promise<string> } の形
+
+const STT_MODEL = process.env.STT_MODEL || 'whisper-1';
+
+const sttCaller = createResilientCaller('stt');
+
+function createOpenAiTranscriber() {
+  return {
+    name: 'openai',
+    async transcribe(buffer, { fileName = 'audio.m4a' } = {}) {
+      const result = await sttCaller.call(async (signal) =>
+        getOpenAiClient().audio.transcriptions.create(
+          { model: STT_MODEL, file: await OpenAI.toFile(buffer, fileName) },
+          { signal, maxRetries: 0 }
+        )
+      );
+      return (result.text || '').trim();
+    },
+  };
+}
+
+// テスト・ローカル確認用：音声の中身に関係なく決まった文字を返す
+function createFakeTranscriber(text = process.env.STT_FAKE_TEXT || '') {
+  return {
+    name: 'fake',
+    async transcribe() {
+      return text;
+    },
+  };
+}
+
+function createTranscriber(name) {
+  switch (name) {
+    case 'fake':
+      return createFakeTranscriber();
+    case 'openai':
+    default:
+      return createOpenAiTranscriber();
+  }
+}
+
+const transcriber = createTranscriber(process.env.STT_PROVIDER || 'openai');
+
+// ---------- 音声合成（TTS） ----------
+// プロバイダは { name, synthesize(text, { voice }) => Promise<Buffer(mp3)> } の形
+
+const TTS_MODEL = process.env.TTS_MODEL || 'tts-1';
+const TTS_VOICE = process.env.TTS_VOICE || 'alloy';
+
+const ttsCaller = createResilientCaller('tts');
+
+function createOpenAiSpeechSynthesizer() {
+  return {
+    name: 'openai',
+    async synthesize(text, { voice = TTS_VOICE } = {}) {
+      return ttsCaller.call(async (signal) => {
+        const response = await getOpenAiClient().audio.speech.create(
+          { model: TTS_MODEL, voice, input: text, response_format: 'mp3' },
+          { signal, maxRetries: 0 }
+        );
+        return Buffer.from(await response.arrayBuffer());
+      });
+    },
+  };
+}
+
+// テスト・ローカル確認用：文字数に応じた長さの無音 mp3 を返す
+// (MPEG1 Layer3 / 128kbps / 44.1kHz、1フレーム 417 バイト ≒ 26ms)
+function createFakeSpeechSynthesizer() {
+  return {
+    name: 'fake',
+    async synthesize(text) {
+      const frameCount = Math.max(1, text.length * 3);
+      const frame = Buffer.alloc(417);
+      frame.writeUInt32BE(0xfffb9064, 0);
+      return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+    },
+  };
+}
+
+function createSpeechSynthesizer(name) {
+  switch (name) {
+    case 'fake':
+      return createFakeSpeechSynthesizer();
+    case 'openai':
+    default:
+      return createOpenAiSpeechSynthesizer();
+  }
+}
+
+const speechSynthesizer = createSpeechSynthesizer(process.env.TTS_PROVIDER || 'openai');
+
+const MP3_BITRATES = {
+  // [MPEG1, MPEG2/2.5] × layer (kbps)
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG1
+  2: [22050, 24000, 16000], // MPEG2
+  0: [11025, 12000, 8000], // MPEG2.5
+};
+
+// mp3 のフレームを順に数えて再生時間（ミリ秒）を出す。VBR でもそのまま数えられる
+function mp3DurationMs(buffer) {
+  let offset = 0;
+
+  // 先頭の ID3v2 タグを飛ばす
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+    const size =
+      ((buffer[6] & 0x7f) << 21) |
+      ((buffer[7] & 0x7f) << 14) |
+      ((buffer[8] & 0x7f) << 7) |
+      (buffer[9] & 0x7f);
+    offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+  }
+
+  let seconds = 0;
+  while (offset + 4 <= buffer.length) {
+    const header = buffer.readUInt32BE(offset);
+    if ((header & 0xffe00000) >>> 0 !== 0xffe00000) {
+      offset += 1;
+      continue;
+    }
+
+    const versionBits = (header >>> 19) & 0x3;
+    const layerBits = (header >>> 17) & 0x3;
+    const bitrateIndex = (header >>> 12) & 0xf;
+    const sampleRateIndex = (header >>> 10) & 0x3;
+    const padding = (header >>> 9) & 0x1;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      offset += 1;
+      continue;
+    }
+
+    const layer = 4 - layerBits;
+    const isMpeg1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[isMpeg1 ? 1 : 2][layer][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+    let samples;
+    let frameLength;
+    if (layer === 1) {
+      samples = 384;
+      frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else {
+      samples = layer === 3 && !isMpeg1 ? 576 : 1152;
+      frameLength = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+    }
+
+    seconds += samples / sampleRate;
+    offset += frameLength;
+  }
+
+  return Math.round(seconds * 1000);
+}
+
+// 同じ文・同じ声は作り直さない。配信もこのキャッシュから行う
+// 音声そのものはプロセス内だけに置き、キーに対応する文と声を tts_sources テーブルに残しておく。
+// 追い出し・再起動のあとや別のインスタンスに届いたときは、そこから作り直して配信する
+// tts_sources テーブル：
+//   key (PRIMARY KEY。声と文のハッシュ), text, voice, created_at
+const TTS_CACHE_MAX = 100;
+const ttsCache = new Map();
+
+function ttsCacheKey(text, voice) {
+  return crypto.createHash('sha256').update(`${voice}\n${text}`).digest('hex');
+}
+
+async function getOrSynthesizeSpeech(text, voice = TTS_VOICE) {
+  const key = ttsCacheKey(text, voice);
+  const cached = ttsCache.get(key);
+  if (cached) {
+    // 最近使ったものを末尾へ（Map の挿入順で LRU）
+    ttsCache.delete(key);
+    ttsCache.set(key, cached);
+    return { key, ...cached };
+  }
+
+  const audio = await speechSynthesizer.synthesize(text, { voice });
+  const entry = { audio, durationMs: mp3DurationMs(audio) };
+
+  // 残せなくても今回の配信はキャッシュからできるので止めない
+  try {
+    await repo.insertTtsSource({ key, text, voice, created_at: new Date().toISOString() });
+  } catch (e) {
+    reportError('Save TTS source error', e);
+  }
+
+  ttsCache.set(key, entry);
+  if (ttsCache.size > TTS_CACHE_MAX) {
+    ttsCache.delete(ttsCache.keys().next().value);
+  }
+  return { key, ...entry };
+}
+
+// ---------- メッセージコンテンツ取得 ----------
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Content-Type ヘッダーから ;charset=... などを落とした MIME タイプ
+function mimeTypeOf(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase() || null;
+}
+
+// LINE に上がった画像・音声などのバイナリと MIME タイプ（わからなければ null）を取得する
+async function downloadMessageContent(message) {
+  const provider = message.contentProvider;
+  if (provider && provider.type === 'external' && provider.originalContentUrl) {
+    const res = await fetch(provider.originalContentUrl);
+    if (!res.ok) {
+      throw new Error(`Failed to fetch external content: ${res.status}`);
+    }
+    return {
+      buffer: Buffer.from(await res.arrayBuffer()),
+      mimeType: mimeTypeOf(res.headers.get('content-type')),
+    };
+  }
+
+  // SDK が返すのは HTTP レスポンスのストリームなので、ヘッダーもそこから読める
+  const stream = await lineClient.getMessageContent(message.id);
+  const headers = stream.headers || {};
+  return { buffer: await streamToBuffer(stream), mimeType: mimeTypeOf(headers['content-type']) };
+}
+
+// ---------- メインイベントハンドラ ----------
+
+// 途中で失敗しても Webhook 全体を 500 にしない（LINE の再送で二重に動くのを防ぐ）。
+// ユーザーには謝って、1:1 のトークなら「もう一度」で同じ入力をやり直せるようにする
+async function handleEvent(event) {
+  try {
+    return await dispatchEvent(event);
+  } catch (err) {
+    if (err.code === 'QUOTA_EXCEEDED') {
+      return replyQuotaExceeded(event.replyToken, err.user, err.quota);
+    }
+    reportError('Error handling event', err);
+    return replyEventFailure(event, err);
+  }
+}
+
+async function dispatchEvent(event) {
+  // 友だち追加・ブロック・グループ参加
+  if (event.type === 'follow') {
+    return handleFollow(event);
+  }
+  if (event.type === 'unfollow') {
+    return handleUnfollow(event);
+  }
+  if (event.type === 'join') {
+    return handleJoin(event);
+  }
+
+  if (event.type === 'postback') {
+    return handlePostbackEvent(event);
+  }
+
+  if (event.type !== 'message') {
+    return;
+  }
+  if (!['text', 'image', 'audio'].includes(event.message.type)) {
+    return;
+  }
+
+  // グループ・複数人トークは users ではなく group_settings で動かす
+  if (isGroupSource(event.source)) {
+    if (event.message.type !== 'text') return;
+    return handleGroupMessage(event);
+  }
+
+  const userId = event.source.userId;
+  if (!userId) return;
+
+  const user = await getOrCreateUser(userId);
+
+  // 数えるのは読み取った文字を訳すときだけ。上限に達していたら読み取りもしない
+  if (event.message.type === 'image' || event.message.type === 'audio') {
+    const quota = evaluateQuota(user, clock.now());
+    if (!event.quotaConsumed && !quota.allowed) {
+      return replyQuotaExceeded(event.replyToken, user, quota);
+    }
+    const options = { meter: eventMeter(event, user) };
+    return event.message.type === 'image'
+      ? handleImageMessage(event, user, options)
+      : handleAudioMessage(event, user, options);
+  }
+
+  const text = (event.message.text || '').trim();
+
+  // 簡易テスト系
+  if (text === '今すぐテストしてみる') {
+    return replyLevelTestIntro(event.replyToken);
+  }
+
+  // はじめの設定（オンボーディング）
+  if (text === '初期設定') {
+    return handleRestartOnboarding(event.replyToken, user);
+  }
+  if (text === 'スキップ' && isOnboarding(user)) {
+    return continueOnboarding(
+      event.replyToken,
+      user,
+      user.onboarding_state,
+      'ここはいまの設定のままにしておきます。\n\n'
+    );
+  }
+
+  // 設定・ヘルプ系
+  if (text === 'ヘルプ') {
+    return replyHelp(event.replyToken);
+  }
+  if (text === 'ホーム') {
+    return replyHome(event.replyToken, user);
+  }
+  if (text === '使い方') {
+    return replyUsage(event.replyToken);
+  }
+  if (text === '設定') {
+    return replySettings(event.replyToken, user);
+  }
+
+  // 単語帳
+  if (text === '単語帳') {
+    return replyVocabularyList(event.replyToken, user, { page: 1 });
+  }
+  if (text.startsWith('単語検索:')) {
+    const keyword = text.replace('単語検索:', '').trim();
+    return replyVocabularyList(event.replyToken, user, { page: 1, keyword });
+  }
+
+  // メールの差出人・宛名
+  if (text === 'メール設定') {
+    return replyEmailProfile(event.replyToken, user);
+  }
+  const profileCommand = parseEmailProfileCommand(text);
+  if (profileCommand) {
+    return handleSetEmailProfile(event.replyToken, user, profileCommand);
+  }
+
+  // 復習
+  if (text === '復習') {
+    return replyReviewQuestion(event.replyToken, user);
+  }
+
+  // 翻訳履歴
+  if (text === '履歴') {
+    return replyHistory(event.replyToken, user, 1);
+  }
+
+  // ここから先は LLM・TTS を呼ぶことがある。利用回数は各ハンドラが呼ぶ直前に options.meter で数える
+  const options = { meter: eventMeter(event, user) };
+
+  // 英文の読み上げ
+  if (text === '読み上げ') {
+    return handleReadAloud(event.replyToken, user, options);
+  }
+
+  // 「韓国語にして」 → 1 回だけほかの言語で作る（設定の翻訳先は変えない）
+  const once = parseTranslateOnceCommand(text);
+  if (once) {
+    return handleTranslateOnce(event.replyToken, user, once, options);
+  }
+
+  // 「この英文でOK」 → ネイティブ寄りの別案（ユーザー英文は再掲しない）
+  if (text.includes('この英文で')) {
+    return handleAcceptCurrentEnglish(event.replyToken, user, options);
+  }
+
+  // ここから本文処理
+  return routeByLanguage(text, event.replyToken, user, options);
+}
+
+function isGroupSource(source) {
+  return source.type === 'group' || source.type === 'room';
+}
+
+// -- 失敗時の返信と「もう一度」 --
+// users.pending_retry（jsonb）にやり直す入力を残す：
+//   { type: 'message', message: {...} } | { type: 'postback', data: 'action=...' }
+//   最初の回で利用回数を数えていれば quota_consumed: true（やり直しでは数えない）
+
+function isRetryPostback(event) {
+  if (event.type !== 'postback') return false;
+  return new URLSearchParams(event.postback.data || '').get('action') === 'retry';
+}
+
+function retryPayload(event) {
+  if (!event.source || isGroupSource(event.source) || !event.source.userId) return null;
+  if (event.type === 'message' && event.message) {
+    return { type: 'message', message: event.message };
+  }
+  if (event.type === 'postback' && !isRetryPostback(event)) {
+    return { type: 'postback', data: event.postback.data };
+  }
+  return null;
+}
+
+async function replyEventFailure(event, err) {
+  if (!event.replyToken) return;
+
+  // グループの自動翻訳は誰にも呼ばれていないので、失敗しても黙っておく（記録は handleEvent で済んでいる）
+  if (event.type === 'message' && isGroupSource(event.source) && !event.addressed) return;
+
+  // 「もう一度」自体が失敗したときは、残っている元の入力をそのまま使う
+  let retryable = isRetryPostback(event);
+  const payload = retryPayload(event);
+  if (payload) {
+    if (event.quotaConsumed) {
+      payload.quota_consumed = true;
+    }
+    try {
+      await updateUser(event.source.userId, { pending_retry: payload });
+      retryable = true;
+    } catch (e) {
+      reportError('Save retry payload error', e);
+    }
+  }
+
+  const lead =
+    err && err.code === 'AI_UNAVAILABLE'
+      ? '🙏 ただいま翻訳が混み合っています。\n'
+      : '🙏 うまく処理できませんでした。\n';
+  const message = retryable
+    ? {
+        type: 'text',
+        text: lead + '少し時間をおいて「もう一度」を押すと、同じ内容でやり直します。',
+        quickReply: {
+          items: [
+            postbackItem('🔄 もう一度', { action: 'retry' }, 'もう一度'),
+            ...baseQuickReplyItems(false),
+          ],
+        },
+      }
+    : { type: 'text', text: lead + '少し時間をおいてから、もう一度送ってください。' };
+
+  try {
+    await lineClient.replyMessage(event.replyToken, message);
+  } catch (e) {
+    reportError('Reply failure notice error', e);
+  }
+}
+
+async function handleRetry(replyToken, user) {
+  const pending = user.pending_retry;
+  if (!pending) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'やり直す内容が見つかりませんでした。もう一度送ってみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+
+  // 元のイベントを新しい replyToken で組み立て直して、最初から処理する
+  const event = {
+    type: pending.type,
+    replyToken,
+    source: { type: 'user', userId: user.line_user_id },
+    quotaConsumed: Boolean(pending.quota_consumed),
+    ...(pending.type === 'message'
+      ? { message: pending.message }
+      : { postback: { data: pending.data } }),
+  };
+
+  const result = await dispatchEvent(event);
+  await updateUser(user.line_user_id, { pending_retry: null });
+  return result;
+}
+
+// ---------- Postback ルーター ----------
+// ボタンの中身は data に action=...&key=value の形で入れる（チャットには displayText だけが出る）
+
+async function handlePostbackEvent(event) {
+  const params = Object.fromEntries(new URLSearchParams(event.postback.data || ''));
+
+  if (isGroupSource(event.source)) {
+    return handleGroupPostback(event, params);
+  }
+
+  const userId = event.source.userId;
+  if (!userId) return;
+
+  const user = await getOrCreateUser(userId);
+
+  // LLM を呼ぶボタン（文体の変更・ほかの案など）は、呼ぶ直前に options.meter で利用回数を数える
+  return routePostback(event.replyToken, user, params, { meter: eventMeter(event, user) });
+}
+
+async function routePostback(replyToken, user, params, options = {}) {
+  switch (params.action) {
+    // 設定メニュー
+    case 'menu':
+      switch (params.name) {
+        case 'level':
+          return replyLevelRoot(replyToken);
+        case 'level_eiken':
+          return replyLevelEiken(replyToken);
+        case 'level_toeic':
+          return replyLevelToeic(replyToken);
+        case 'level_test':
+          return replyLevelTestIntro(replyToken);
+        case 'preset':
+          return replyLevelPreset(replyToken);
+        case 'usage':
+          return replyUsageScene(replyToken);
+        case 'tone':
+          return replyToneSetting(replyToken);
+        case 'language':
+          return replyTargetLanguageSetting(replyToken);
+        case 'email':
+          return replyEmailProfile(replyToken, user);
+        default:
+          return replySettings(replyToken, user);
+      }
+    case 'level_test':
+      return handleTestResult(replyToken, user, parseInt(params.answer, 10));
+    case 'set_level':
+      return params.type === 'toeic'
+        ? handleSetLevelToeic(replyToken, user, params.value)
+        : handleSetLevelEiken(replyToken, user, params.value);
+    case 'set_preset':
+      return handleSetLevelPreset(replyToken, user, params.code);
+    case 'set_usage':
+      return handleSetUsageScene(replyToken, user, params.value);
+    case 'set_tone':
+      return handleSetTone(replyToken, user, params.value);
+    case 'set_target_language':
+      return handleSetTargetLanguage(replyToken, user, params.value);
+
+    // 英文のトーン変更・ミックス入力
+    case 'change_tone':
+      return handleToneChange(replyToken, user, params.tone, options);
+    case 'translate_mixed':
+      return handleMixedChoice(replyToken, user, params.to, options);
+    case 'retry':
+      return handleRetry(replyToken, user);
+    case 'rephrase':
+      return handleToneChange(replyToken, user, params.tone, { ...options, rephrase: true });
+    case 'candidates':
+      return handleShowCandidates(replyToken, user, options);
+    case 'reply_draft':
+      return handleStartReplyDraft(replyToken, user);
+    case 'reply_cancel':
+      return handleCancelReplyDraft(replyToken, user);
+    case 'choose_candidate':
+      return handleChooseCandidate(replyToken, user, parseInt(params.i, 10));
+
+    // 履歴・単語帳・復習
+    case 'history_page':
+      return replyHistory(replyToken, user, parseInt(params.page, 10) || 1);
+    case 'history_open':
+      return handleOpenHistory(replyToken, user, params.id);
+    case 'vocab_page':
+      return replyVocabularyList(replyToken, user, { page: parseInt(params.page, 10) || 1 });
+    case 'vocab_view':
+      return replyVocabularyDetail(replyToken, user, params.id);
+    case 'vocab_delete':
+      return handleDeleteVocabulary(replyToken, user, params.id);
+    case 'vocab_save':
+      return handleSaveGlossaryTerm(replyToken, user, params.tid, parseInt(params.i, 10));
+    case 'review_answer':
+      return replyReviewAnswer(replyToken, user, params.id);
+    case 'review_grade':
+      return handleReviewGrade(replyToken, user, params.grade, params.id);
+
+    default:
+      reportError(
+        'Unknown postback action',
+        new Error(`Unknown postback action: ${params.action}`),
+        params
+      );
+      return replyHome(replyToken, user);
+  }
+}
+
+// 本文を言語判定して各ハンドラへ（テキスト・画像・音声から読み取った文字で共通）
+async function routeByLanguage(text, replyToken, user, options = {}) {
+  const { language: lang } = detectLanguage(text);
+
+  // 「返信を作る」を押したあとの日本語は、訳さずに返信の材料にする
+  if ((lang === 'ja' || lang === 'mixed') && isAwaitingReplyDraft(user, clock.now())) {
+    await chargeQuota(options);
+    return handleDraftReply(text, replyToken, user, options);
+  }
+
+  // 混在文はどちらに訳すか聞くだけなので、まだ数えない（選んだときに数える）
+  if (lang === 'ja') {
+    await chargeQuota(options);
+    return handleJaToEn(text, replyToken, user, options);
+  } else if (lang === 'mixed') {
+    return handleMixed(text, replyToken, user, options);
+  } else if (LANGUAGES[lang]) {
+    await chargeQuota(options);
+    return handleEnToJa(text, replyToken, user, { ...options, sourceLanguage: lang });
+  } else {
+    // その他の言語は対象外
+    return lineClient.replyMessage(
+      replyToken,
+      withNotes(
+        {
+          type: 'text',
+          text:
+            `今は日本語と${supportedLanguagesText()}をサポートしています。\n` +
+            'どれかの言語で送ってみてください。',
+          quickReply: { items: baseQuickReplyItems(false) },
+        },
+        options
+      )
+    );
+  }
+}
+
+// 「英語・中国語・…」（案内文用）
+function supportedLanguagesText() {
+  return Object.values(LANGUAGES)
+    .map((language) => language.label)
+    .join('・');
+}
+
+// options.sourceNote があれば「何を読み取ったか」、options.quotaNote があれば残り回数の案内を
+// 結果の前に添える（クイックリプライは最後のメッセージにしか出ないので結果を最後に置く）
+function withNotes(message, options = {}) {
+  const notes = [options.sourceNote, options.quotaNote]
+    .filter(Boolean)
+    .map((text) => ({ type: 'text', text }));
+  return notes.length === 0 ? message : [...notes, ...[].concat(message)];
+}
+
+async function replyQuotaExceeded(replyToken, user, quota) {
+  const text =
+    quota.reason === 'monthly'
+      ? `🙏 今月の翻訳回数の上限（${quota.limits.monthly}回）に達しました。\n` +
+        '来月1日（日本時間）になると、また使えるようになります。'
+      : `🙏 今日の翻訳回数の上限（${quota.limits.daily}回）に達しました。\n` +
+        '日本時間の0時を過ぎると、また使えるようになります。';
+
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text:
+      text +
+      (user.plan === 'premium' ? '' : '\n\nたくさん使う場合は、プレミアムプランもご検討ください。'),
+    quickReply: { items: baseQuickReplyItems(false) },
+  });
+}
+
+// ---------- グループ・複数人トーク ----------
+
+// ボット宛てのメンション部分を取り除いた本文と、メンションされたかどうか
+function stripSelfMention(message) {
+  const text = message.text || '';
+  const mentionees = (message.mention && message.mention.mentionees) || [];
+  const selfMentions = mentionees
+    .filter((m) => m.isSelf)
+    .sort((a, b) => b.index - a.index);
+
+  let body = text;
+  selfMentions.forEach((m) => {
+    body = body.slice(0, m.index) + body.slice(m.index + m.length);
+  });
+
+  return { mentioned: selfMentions.length > 0, body: body.trim() };
+}
+
+function groupQuickReplyItems(settings) {
+  const autoOn = settings.translate_mode === 'auto';
+  return [
+    postbackItem(
+      autoOn ? '⏸ 自動翻訳OFF' : '▶ 自動翻訳ON',
+      { action: 'group_setting', mode: autoOn ? 'mention' : 'auto' },
+      autoOn ? '自動翻訳をOFFにして' : '自動翻訳をONにして'
+    ),
+    postbackItem('😊 カジュアル', { action: 'group_setting', tone: 'casual' }, '英文をカジュアルに'),
+    postbackItem('🙂 丁寧', { action: 'group_setting', tone: 'polite' }, '英文を丁寧に'),
+    postbackItem('💼 ビジネス', { action: 'group_setting', tone: 'business' }, '英文をビジネス向けに'),
+    // 翻訳先はいまの言語以外を出す
+    ...Object.entries(LANGUAGES)
+      .filter(([code]) => code !== languageOrEnglish(settings.target_language))
+      .map(([code, language]) =>
+        postbackItem(
+          `${language.flag} ${language.label}に`,
+          { action: 'group_setting', language: code },
+          `翻訳先を${language.label}に`
+        )
+      ),
+  ];
+}
+
+function buildGroupSettingsText(settings) {
+  const modeText =
+    settings.translate_mode === 'auto'
+      ? '自動翻訳（日本語・外国語の発言をすべて翻訳）'
+      : 'メンション / プレフィックスのときだけ翻訳';
+  const prefix = settings.prefix || DEFAULT_GROUP_PREFIX;
+  const target = LANGUAGES[languageOrEnglish(settings.target_language)].label;
+  return (
+    '⚙️ このトークの設定\n' +
+    `・翻訳するタイミング：${modeText}\n` +
+    `・プレフィックス：「${prefix}」\n` +
+    `・翻訳先：${target}\n` +
+    `・文体：${toneLabel(settings.tone_default)}\n\n` +
+    '使い方：\n' +
+    '・ボットをメンションして文を送る\n' +
+    `・「${prefix} 明日は休みです」のように先頭につけて送る\n` +
+    `→ 日本語は${target}に、${supportedLanguagesText()}は日本語にして返します。\n` +
+    `・1回だけほかの言語にしたいときは「${prefix} 韓国語にして 明日は休みです」`
+  );
+}
+
+async function handleGroupMessage(event) {
+  const source = event.source;
+  const chatId = source.groupId || source.roomId;
+  const settings = await getOrCreateGroupSettings(chatId, source.type);
+  const text = (event.message.text || '').trim();
+
+  const prefix = settings.prefix || DEFAULT_GROUP_PREFIX;
+  const { mentioned, body: mentionBody } = stripSelfMention(event.message);
+  const prefixed = text.startsWith(prefix);
+  const body = prefixed ? text.slice(prefix.length).trim() : mentionBody;
+
+  // 失敗したときに謝るのは、呼ばれた発言だけ（replyEventFailure が見る）
+  event.addressed = mentioned || prefixed;
+
+  if (event.addressed) {
+    if (!body || body === '設定' || body === 'ヘルプ' || body === '使い方') {
+      return lineClient.replyMessage(event.replyToken, {
+        type: 'text',
+        text: buildGroupSettingsText(settings),
+        quickReply: { items: groupQuickReplyItems(settings) },
+      });
+    }
+    const once = parseTranslateOnceCommand(body);
+    if (once) {
+      return handleGroupTranslateOnce(event.replyToken, settings, once);
+    }
+    return handleGroupTranslation(body, event.replyToken, settings, { explicit: true });
+  }
+
+  if (settings.translate_mode === 'auto') {
+    return handleGroupTranslation(text, event.replyToken, settings, { explicit: false });
+  }
+}
+
+// 設定ボタン（postback）はメンションなしで届く
+async function handleGroupPostback(event, params) {
+  const source = event.source;
+  const chatId = source.groupId || source.roomId;
+  const settings = await getOrCreateGroupSettings(chatId, source.type);
+
+  let patch = null;
+  if (params.action === 'group_setting') {
+    if (params.mode === 'auto' || params.mode === 'mention') {
+      patch = { translate_mode: params.mode };
+    }
+    if (['casual', 'polite', 'business'].includes(params.tone)) {
+      patch = { tone_default: params.tone };
+    }
+    if (LANGUAGES[params.language]) {
+      patch = { target_language: params.language };
+    }
+  }
+
+  const updated = patch ? await updateGroupSettings(settings.chat_id, patch) : settings;
+
+  return lineClient.replyMessage(event.replyToken, {
+    type: 'text',
+    text: (patch ? '✅ 設定を変更しました。\n\n' : '') + buildGroupSettingsText(updated),
+    quickReply: { items: groupQuickReplyItems(updated) },
+  });
+}
+
+// グループ設定をそのままプロンプト用の「ユーザー設定」として使う
+// 「訳: 韓国語にして 明日は休みです」。グループには直前の文がないので、訳す文は続けて書いてもらう
+async function handleGroupTranslateOnce(replyToken, settings, { language, text }) {
+  if (!text) {
+    const prefix = settings.prefix || DEFAULT_GROUP_PREFIX;
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: `「${prefix} ${LANGUAGES[language].label}にして 明日は休みです」のように続けて書いてください。`,
+    });
+  }
+  return handleGroupTranslation(text, replyToken, settings, {
+    explicit: true,
+    targetLanguage: language,
+  });
+}
+
+// targetLanguage は 1 回だけ翻訳先を変えるとき。なければトークの翻訳先
+async function handleGroupTranslation(text, replyToken, settings, { explicit, targetLanguage }) {
+  const { language: lang, confidence } = detectLanguage(text);
+
+  // 自動翻訳ではスタンプ代わりの記号や混在文、「OK」のように短くて言語を決めきれない発言には反応しない
+  if (
+    !explicit &&
+    ((lang !== 'ja' && !LANGUAGES[lang]) || confidence < AUTO_TRANSLATE_MIN_CONFIDENCE)
+  ) {
+    return;
+  }
+
+  if (lang !== 'ja' && lang !== 'mixed' && !LANGUAGES[lang]) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: `今は日本語と${supportedLanguagesText()}をサポートしています。`,
+    });
+  }
+
+  // ここから先は LLM を呼ぶのでトークの利用回数を数える。自動翻訳で上限に達したら黙っておく
+  const quota = await consumeGroupQuota(settings, clock.now());
+  if (!quota.allowed) {
+    return explicit ? replyGroupQuotaExceeded(replyToken, quota) : undefined;
+  }
+
+  if (lang === 'ja' || lang === 'mixed') {
+    const language = targetLanguage || languageOrEnglish(quota.settings.target_language);
+    const output = await generateTranslationFromJapanese({
+      user: quota.settings,
+      sourceText: text,
+      toneOverride: null,
+      targetLanguage: language,
+    });
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: `${LANGUAGES[language].flag} ${output}`,
+    });
+  }
+
+  const { ja } = await explainEnglishToJapaneseWithGlossary({
+    user: quota.settings,
+    sourceText: text,
+    sourceLanguage: lang,
+  });
+  return lineClient.replyMessage(replyToken, { type: 'text', text: `🇯🇵 ${ja}` });
+}
+
+async function replyGroupQuotaExceeded(replyToken, quota) {
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text:
+      quota.reason === 'monthly'
+        ? `🙏 このトークの今月の翻訳回数の上限（${quota.limits.monthly}回）に達しました。\n` +
+          '来月1日（日本時間）になると、また使えるようになります。'
+        : `🙏 このトークの今日の翻訳回数の上限（${quota.limits.daily}回）に達しました。\n` +
+          '日本時間の0時を過ぎると、また使えるようになります。',
+  });
+}
+
+// ---------- 各種返信ハンドラ ----------
+
+async function replyHelp(replyToken) {
+  const message = {
+    type: 'text',
+    text:
+      '💡 YourTranslator へようこそ\n\n' +
+      'YourTranslator は、キレイすぎる翻訳ツールや AI の英語ではなく、\n' +
+      'あなたが普段使いそうな自然な英文と、ワンランク上の英文を提案する相棒です。\n\n' +
+      '📝 できること\n' +
+      '・日本語で送る → 英文を作成\n' +
+      '・英語で送る → 和訳＋ちょっとむずかしめの英単語・表現のミニ解説\n' +
+      '・中国語・韓国語・スペイン語・フランス語で送る → 和訳\n' +
+      '・「韓国語にして」と送る → 直前の日本語を1回だけほかの言語に（いつもの翻訳先は設定で変えられます）\n' +
+      '・日本語＋英語まじり → 英訳 / 和訳を選択\n' +
+      '・用途が「社内メール」「社外メール」→ 件名・あいさつ・本文・結びのそろったメールに（署名は「メール設定」で）\n' +
+      '・和訳のあとに「↩️ 返信を作る」→ 伝えたいことを日本語で送ると、元のメールに合わせた返信に\n' +
+      '・画像を送る → 写っている文字を読み取って、英訳 / 和訳\n' +
+      '・音声を送る → 聞き取った内容を表示してから、英訳 / 和訳\n' +
+      '・グループに招待 → メンションか「訳:」つきの発言を翻訳（自動翻訳も選べます）\n' +
+      '・「履歴」と送る → これまでの翻訳を見返して、開き直す\n' +
+      '・「単語帳」と送る → 和訳で出てきた単語・表現を、出てきた文といっしょに見返す\n' +
+      '・「復習」と送る → 単語帳の単語を、覚えぐあいに合わせたタイミングでクイズ\n\n' +
+      '⚙️ 設定のイメージ\n' +
+      '・レベル → 単語・文法のむずかしさ\n' +
+      '・用途 → チャット / 社内メール / 社外メール\n' +
+      '・文体 → カジュアル / 丁寧 / ビジネス\n' +
+      '同じ日本語でも、用途や文体を変えると「語尾・前置き・ていねいさ」が変わります。\n\n' +
+      '✨ 「この英文でOK」を押すと\n' +
+      '・今の英文はそのままOK、という前提で\n' +
+      '・「よりネイティブに近づけた表現なら、たとえばこんな言い方もあります」という別案＋日本語でのポイント解説が返ってきます。\n' +
+      '  （あなたの英文をダメ出しするのではなく、「こういう言い方もあるよ」を足すイメージです）\n\n' +
+      'まずは、翻訳したい日本語か英語の文をそのまま送ってみてください。',
+    quickReply: { items: baseQuickReplyItems(true) },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function replyHome(replyToken, user) {
+  const text = buildHomeText(user);
+  const resumeItems = isOnboarding(user)
+    ? [
+        {
+          type: 'action',
+          action: { type: 'message', label: '🔰 初期設定のつづき', text: '初期設定' },
+        },
+      ]
+    : [];
+  const message = {
+    type: 'text',
+    text,
+    quickReply: {
+      items: [
+        ...resumeItems,
+        settingsButton(),
+        historyButton(),
+        vocabularyButton(),
+        {
+          type: 'action',
+          action: { type: 'message', label: '❓ 使い方', text: '使い方' },
+        },
+      ],
+    },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function replyUsage(replyToken) {
+  const text =
+    '📖 使い方ガイド\n\n' +
+    '1️⃣ まずは設定\n' +
+    '・「🏠 ホーム」→「⚙️ 設定」で、レベル / 用途 / 文体 / かんたん設定 をざっくり決める\n' +
+    '・「🎯 レベル」から、英検 / TOEIC / かんたんテスト で自分のレベルを選ぶ\n' +
+    '・「初期設定」と送ると、3ステップのはじめの設定をもう一度やり直せます\n\n' +
+    '2️⃣ 日本語で送ると…\n' +
+    '・そのままの意味で使える英文にして返します\n' +
+    '・レベル・用途・文体に合わせて、言い回しや丁寧さを調整します\n\n' +
+    '3️⃣ 英語で送ると…\n' +
+    '・自然な日本語訳\n' +
+    '・あなたのレベルから見て「ちょっとむずかしい」英単語・表現のミニ解説\n' +
+    '・中国語・韓国語・スペイン語・フランス語も、同じように日本語に訳します\n' +
+    '・受け取ったメールなら「↩️ 返信を作る」を押して、返信で伝えたいことを日本語で送ると返信文を作ります\n\n' +
+    '4️⃣ 日本語＋英語がまざるとき\n' +
+    '・「英訳してほしい」「和訳してほしい」のボタンが出るので、どちらかを選びます\n\n' +
+    '5️⃣ さらに調整したいとき\n' +
+    '・「カジュアルに / 丁寧に / ビジネスに」を押すと文体だけ変えた英文に\n' +
+    '・「中国語にして」「韓国語にして」などと送ると、直前の日本語を1回だけその言語に\n' +
+    '  （いつも英語以外にしたいときは「⚙️ 設定」→「🌐 翻訳先」）\n' +
+    '・「🔊 読み上げ」を押すと、その英文を音声で聞けます\n' +
+    '・「🔀 ほかの案」を押すと、そのまま / やわらかめ / 短め の案から選べます\n' +
+    '・「この英文でOK」を押すと、\n' +
+    '   → よりネイティブに近づけた表現の別案＋日本語のポイント解説が返ってきます\n\n' +
+    '6️⃣ 前の翻訳を見返したいとき\n' +
+    '・「履歴」と送ると、最近の翻訳が新しい順に出てきます\n' +
+    '・番号を選ぶとその翻訳を開き直せて、文体変更や「この英文でOK」もそこから使えます\n\n' +
+    '7️⃣ 単語帳\n' +
+    '・英語を和訳したときの「チェックしておきたい単語・表現」は自動で単語帳に保存されます\n' +
+    '・「単語帳」で一覧、「単語検索:ワード」で検索、各単語の画面から削除できます\n' +
+    '・「復習」でクイズ。「覚えた / あいまい / 忘れた」に合わせて、次に出てくる日が変わります\n\n' +
+    'むずかしく考えなくて大丈夫なので、まずはいつもの文をそのまま投げてみてください。';
+
+  const message = {
+    type: 'text',
+    text,
+    quickReply: { items: baseQuickReplyItems(true) },
+  };
+
+  return lineClient.replyMessage(replyToken, message);
+}
+
+// 設定画面
+async function replySettings(replyToken, user) {
+  const { ja, en } = getSettingsExampleSentence(user);
+
+  const text =
+    '⚙️ 設定\n\n' +
+    '「どれがいいかよく分からない」ときは、「🧩 かんたん設定」からまとめて設定するのがおすすめです。\n\n' +
+    buildSettingsSummary(user) +
+    '\nこの設定だと、だいたいこんなイメージの英文になります：\n' +
+    `・日本語：${ja}\n` +
+    `・英語：${en}\n` +
+    '（レベルが上がるほど、単語や文法が少しずつむずかしくなっていきます）\n\n' +
+    '変更したい項目を選んでください。';
+
+  const message = {
+    type: 'text',
+    text,
+    quickReply: { items: homeQuickReplyItems() },
+  };
+
+  return lineClient.replyMessage(replyToken, message);
+}
+
+// -- 友だち追加・ブロック・グループ参加 --
+
+async function handleFollow(event) {
+  const userId = event.source.userId;
+  if (!userId) return;
+
+  const existing = await repo.findUser(userId);
+  const user = existing || (await getOrCreateUser(userId));
+
+  // 再追加で、はじめの設定がもう終わっている人には「おかえりなさい」だけ
+  if (existing && !isOnboarding(existing)) {
+    const updated = await updateUser(userId, { is_active: true, unfollowed_at: null });
+    return lineClient.replyMessage(event.replyToken, {
+      type: 'text',
+      text:
+        '👋 おかえりなさい！\n\n' +
+        buildSettingsSummary(updated) +
+        '\n' +
+        buildHomeText(updated),
+      quickReply: { items: baseQuickReplyItems(true) },
+    });
+  }
+
+  // 途中まで進んでいればそこから再開
+  const step = isOnboarding(user) ? user.onboarding_state : ONBOARDING_STEPS[0];
+  const updated = await updateUser(userId, {
+    is_active: true,
+    unfollowed_at: null,
+    onboarding_state: step,
+  });
+
+  const welcome =
+    '💡 友だち追加ありがとうございます！\n' +
+    'YourTranslator は、あなたが普段使いそうな自然な英文を一緒に作る相棒です。\n\n' +
+    (step === ONBOARDING_STEPS[0]
+      ? 'まずは3ステップで、レベル・よく使う場面・文体を決めましょう（あとからいつでも変えられます）。\n\n'
+      : '前回のつづきから、はじめの設定を再開します。\n\n');
+
+  return lineClient.replyMessage(event.replyToken, onboardingStepMessage(updated, welcome));
+}
+
+// ブロックされたら行は消さずに「非アクティブ」にしておく
+async function handleUnfollow(event) {
+  const userId = event.source.userId;
+  if (!userId) return;
+
+  const existing = await repo.findUser(userId);
+  if (!existing) return;
+
+  await updateUser(userId, {
+    is_active: false,
+    unfollowed_at: new Date().toISOString(),
+  });
+}
+
+async function handleJoin(event) {
+  const source = event.source;
+  const chatId = source.groupId || source.roomId;
+  if (!chatId) return;
+
+  const settings = await getOrCreateGroupSettings(chatId, source.type);
+  return lineClient.replyMessage(event.replyToken, {
+    type: 'text',
+    text: '👋 招待ありがとうございます！YourTranslator です。\n\n' + buildGroupSettingsText(settings),
+    quickReply: { items: groupQuickReplyItems(settings) },
+  });
+}
+
+// -- はじめの設定（オンボーディング） --
+
+const ONBOARDING_STEPS = ['level', 'usage', 'tone'];
+
+function isOnboarding(user) {
+  return ONBOARDING_STEPS.includes(user.onboarding_state);
+}
+
+function skipButton() {
+  return {
+    type: 'action',
+    action: { type: 'message', label: '⏭ スキップ', text: 'スキップ' },
+  };
+}
+
+function onboardingStepMessage(user, leadText = '') {
+  const step = user.onboarding_state;
+  const trailingItems = [skipButton()];
+  let base;
+  if (step === 'usage') {
+    base = usageSceneMessage(trailingItems);
+  } else if (step === 'tone') {
+    base = toneSettingMessage(trailingItems);
+  } else {
+    base = levelRootMessage(trailingItems);
+  }
+
+  const index = ONBOARDING_STEPS.indexOf(step) + 1;
+  return {
+    ...base,
+    text: `${leadText}🔰 はじめの設定（${index}/${ONBOARDING_STEPS.length}）\n\n` + base.text,
+  };
+}
+
+// completedStep がいまのステップなら次へ進める。違うステップの設定なら今のステップを出し直す
+async function continueOnboarding(replyToken, user, completedStep, leadText = '') {
+  if (completedStep !== user.onboarding_state) {
+    return lineClient.replyMessage(replyToken, onboardingStepMessage(user, leadText));
+  }
+
+  const next = ONBOARDING_STEPS[ONBOARDING_STEPS.indexOf(completedStep) + 1] || 'done';
+  const updated = await updateUser(user.line_user_id, { onboarding_state: next });
+
+  if (next !== 'done') {
+    return lineClient.replyMessage(replyToken, onboardingStepMessage(updated, leadText));
+  }
+
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text:
+      leadText +
+      '🎉 はじめの設定が完了しました！\n\n' +
+      buildSettingsSummary(updated) +
+      '\n' +
+      buildHomeText(updated),
+    quickReply: { items: baseQuickReplyItems(true) },
+  });
+}
+
+async function handleRestartOnboarding(replyToken, user) {
+  if (isOnboarding(user)) {
+    return lineClient.replyMessage(
+      replyToken,
+      onboardingStepMessage(user, 'はじめの設定のつづきです。\n\n')
+    );
+  }
+
+  const updated = await updateUser(user.line_user_id, {
+    onboarding_state: ONBOARDING_STEPS[0],
+  });
+  return lineClient.replyMessage(
+    replyToken,
+    onboardingStepMessage(updated, 'はじめの設定をもう一度行います。\n\n')
+  );
+}
+
+// -- 簡易レベルテスト --
+
+async function replyLevelTestIntro(replyToken) {
+  const text =
+    '📘 かんたんレベルチェック\n\n' +
+    '次の3つの英文のうち、「自分ならこう書きそうだな」と感じるものを選んでください。\n' +
+    '番号が大きくなるほど、単語や文法のレベルが少しずつ上がっていきます。\n\n' +
+    '1) I like watching movies and playing games in my free time.\n' +
+    "2) I'd really appreciate it if you could share the updated schedule when you have a moment.\n" +
+    '3) We need to prioritize this task, otherwise it may negatively affect the project timeline.\n\n' +
+    '下のボタンから番号を選んでください。';
+
+  const message = {
+    type: 'text',
+    text,
+    quickReply: {
+      items: [
+        postbackItem('①', { action: 'level_test', answer: '1' }, '①を選ぶ'),
+        postbackItem('②', { action: 'level_test', answer: '2' }, '②を選ぶ'),
+        postbackItem('③', { action: 'level_test', answer: '3' }, '③を選ぶ'),
+        ...baseQuickReplyItems(true),
+      ],
+    },
+  };
+
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function handleTestResult(replyToken, user, num) {
+  let level_value = user.level_value;
+  switch (num) {
+    case 1:
+      level_value = '5';
+      break;
+    case 2:
+      level_value = '3';
+      break;
+    case 3:
+      level_value = 'pre2';
+      break;
+    default:
+      return lineClient.replyMessage(replyToken, {
+        type: 'text',
+        text: '1〜3のどれかを選んでください。',
+        quickReply: { items: baseQuickReplyItems(true) },
+      });
+  }
+
+  const updated = await updateUser(user.line_user_id, {
+    level_type: 'eiken',
+    level_value,
+  });
+
+  const textReply =
+    `📝 テスト結果から、レベルを「${levelLabel(updated)}」あたりにしてみました。\n\n` +
+    buildSettingsSummary(updated);
+
+  if (isOnboarding(updated)) {
+    return continueOnboarding(replyToken, updated, 'level', textReply.split('\n')[0] + '\n\n');
+  }
+
+  const message = {
+    type: 'text',
+    text: textReply,
+    quickReply: { items: homeQuickReplyItems() },
+  };
+
+  return lineClient.replyMessage(replyToken, message);
+}
+
+// -- レベル設定 --
+
+function levelRootMessage(trailingItems = baseQuickReplyItems(true)) {
+  return {
+    type: 'text',
+    text:
+      '🎯 レベルの決め方を選んでください。\n\n' +
+      '・英検：あなたの英語力を英検の級で設定する\n' +
+      '・TOEIC：TOEICスコア帯でレベルを設定する\n' +
+      '・かんたんテスト：3つの英文から感覚で選ぶだけ\n\n' +
+      'レベル選択がよくわからない場合は、「かんたんテスト」から欲しい英文のレベルを選んでください。',
+    quickReply: {
+      items: [
+        postbackItem('英検で設定', { action: 'menu', name: 'level_eiken' }),
+        postbackItem('TOEICで設定', { action: 'menu', name: 'level_toeic' }),
+        postbackItem('かんたんテスト', { action: 'menu', name: 'level_test' }),
+        ...trailingItems,
+      ],
+    },
+  };
+}
+
+async function replyLevelRoot(replyToken) {
+  return lineClient.replyMessage(replyToken, levelRootMessage());
+}
+
+async function replyLevelEiken(replyToken) {
+  const message = {
+    type: 'text',
+    text:
+      '英検の級を選んでください。\n\n' +
+      '同じ日本語「明日は在宅勤務です」を各級で書いたイメージです：\n' +
       '・5級: I stay at home tomorrow.\n' +
       '・4級: I will stay at home tomorrow.\n' +
       '・3級: I will stay at home and study tomorrow.\n' +
@@ -901,509 +4297,1460 @@ async function replyLevelEiken(replyToken) {
       'レベル選択がよくわからない場合は、「かんたんテスト」から欲しい英文のレベルを選んでください。',
     quickReply: {
       items: [
-        {
-          type: 'action',
-          action: { type: 'message', label: '5級', text: 'SET_LEVEL_EIKEN_5' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '4級', text: 'SET_LEVEL_EIKEN_4' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '3級', text: 'SET_LEVEL_EIKEN_3' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '準2級', text: 'SET_LEVEL_EIKEN_PRE2' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '2級', text: 'SET_LEVEL_EIKEN_2' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '準1級', text: 'SET_LEVEL_EIKEN_PRE1' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '1級', text: 'SET_LEVEL_EIKEN_1' },
-        },
-        ...baseQuickReplyItems(true),
+        postbackItem('5級', { action: 'set_level', type: 'eiken', value: '5' }, '英検5級'),
+        postbackItem('4級', { action: 'set_level', type: 'eiken', value: '4' }, '英検4級'),
+        postbackItem('3級', { action: 'set_level', type: 'eiken', value: '3' }, '英検3級'),
+        postbackItem('準2級', { action: 'set_level', type: 'eiken', value: 'pre2' }, '英検準2級'),
+        postbackItem('2級', { action: 'set_level', type: 'eiken', value: '2' }, '英検2級'),
+        postbackItem('準1級', { action: 'set_level', type: 'eiken', value: 'pre1' }, '英検準1級'),
+        postbackItem('1級', { action: 'set_level', type: 'eiken', value: '1' }, '英検1級'),
+        ...baseQuickReplyItems(true),
+      ],
+    },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function replyLevelToeic(replyToken) {
+  const message = {
+    type: 'text',
+    text:
+      'TOEIC のだいたいのスコア帯を選んでください。\n\n' +
+      '同じ日本語「明日は在宅勤務です」をスコア帯ごとに書いたイメージです：\n' +
+      '・〜400: I stay at home tomorrow.\n' +
+      '・400〜600: I will stay at home and work tomorrow.\n' +
+      '・600〜800: I will be working from home tomorrow.\n' +
+      '・800〜: I will be working from home tomorrow, so I may respond a bit more slowly than usual.\n\n' +
+      'レベル選択がよくわからない場合は、「かんたんテスト」から欲しい英文のレベルを選んでください。',
+    quickReply: {
+      items: [
+        postbackItem('〜400', { action: 'set_level', type: 'toeic', value: 'under400' }, 'TOEIC 〜400'),
+        postbackItem('400〜600', { action: 'set_level', type: 'toeic', value: '400_600' }, 'TOEIC 400〜600'),
+        postbackItem('600〜800', { action: 'set_level', type: 'toeic', value: '600_800' }, 'TOEIC 600〜800'),
+        postbackItem('800〜', { action: 'set_level', type: 'toeic', value: 'over800' }, 'TOEIC 800〜'),
+        ...baseQuickReplyItems(true),
+      ],
+    },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+// 「かんたん設定」用：イメージで4択
+async function replyLevelPreset(replyToken) {
+  const text =
+    '🧩 かんたん設定\n\n' +
+    '同じ日本語「明日の会議の開始時間を少し遅らせたいです。」を、4つの雰囲気で書いたサンプルです。\n\n' +
+    '1) やさしめのシンプル英語（友だち・同僚チャット中心）\n' +
+    '   → Can we start the meeting a little later tomorrow?\n' +
+    '2) ふつうのビジネス英語（社内メール中心）\n' +
+    '   → Could we start the meeting a little later tomorrow?\n' +
+    '3) かっちりめのビジネス英語（社外メール中心）\n' +
+    '   → I was wondering if we could start the meeting a little later tomorrow.\n' +
+    '4) ネイティブ寄りのしっかりした英語\n' +
+    '   → I would like to ask if it would be possible to start the meeting a little later tomorrow.\n\n' +
+    '「自分だったらこの日本語をこう書く」という番号を選んでください。';
+
+  const message = {
+    type: 'text',
+    text,
+    quickReply: {
+      items: [
+        postbackItem('①', { action: 'set_preset', code: '1' }, '①を選ぶ'),
+        postbackItem('②', { action: 'set_preset', code: '2' }, '②を選ぶ'),
+        postbackItem('③', { action: 'set_preset', code: '3' }, '③を選ぶ'),
+        postbackItem('④', { action: 'set_preset', code: '4' }, '④を選ぶ'),
+        ...baseQuickReplyItems(true),
+      ],
+    },
+  };
+
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function handleSetLevelEiken(replyToken, user, level) {
+  const code = (level || '').toLowerCase(); // 5,4,3,pre2,2,pre1,1
+  let value;
+  switch (code) {
+    case '5':
+    case '4':
+    case '3':
+    case 'pre2':
+    case '2':
+    case 'pre1':
+    case '1':
+      value = code;
+      break;
+    default:
+      value = '2';
+  }
+
+  const updated = await updateUser(user.line_user_id, {
+    level_type: 'eiken',
+    level_value: value,
+  });
+
+  const textReply =
+    `🎯 レベルを「${levelLabel(updated)}」のイメージで登録しました。\n\n` +
+    buildSettingsSummary(updated);
+
+  if (isOnboarding(updated)) {
+    return continueOnboarding(replyToken, updated, 'level', textReply.split('\n')[0] + '\n\n');
+  }
+
+  const message = {
+    type: 'text',
+    text: textReply,
+    quickReply: { items: homeQuickReplyItems() },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function handleSetLevelToeic(replyToken, user, band) {
+  let value = '400_600';
+  if (['under400', '400_600', '600_800', 'over800'].includes(band)) value = band;
+
+  const updated = await updateUser(user.line_user_id, {
+    level_type: 'toeic',
+    level_value: value,
+  });
+
+  const textReply =
+    `🎯 レベルを「${levelLabel(updated)}」のイメージで登録しました。\n\n` +
+    buildSettingsSummary(updated);
+
+  if (isOnboarding(updated)) {
+    return continueOnboarding(replyToken, updated, 'level', textReply.split('\n')[0] + '\n\n');
+  }
+
+  const message = {
+    type: 'text',
+    text: textReply,
+    quickReply: { items: homeQuickReplyItems() },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+async function handleSetLevelPreset(replyToken, user, code) {
+  let patch = {};
+  let exampleJa = '';
+  let exampleEn = '';
+
+  if (code === '1') {
+    patch = {
+      level_type: 'eiken',
+      level_value: '5',
+      usage_default: 'CHAT_FRIEND',
+      tone_default: 'casual',
+    };
+    exampleJa = '明日のランチ、一緒にどう？';
+    exampleEn = "Let's have lunch together tomorrow.";
+  } else if (code === '2') {
+    patch = {
+      level_type: 'eiken',
+      level_value: '3',
+      usage_default: 'MAIL_INTERNAL',
+      tone_default: 'polite',
+    };
+    exampleJa = 'さきほどお送りした資料をご確認いただけますか？';
+    exampleEn = 'Could you take a look at the materials I sent earlier?';
+  } else if (code === '3') {
+    patch = {
+      level_type: 'eiken',
+      level_value: 'pre1',
+      usage_default: 'MAIL_EXTERNAL',
+      tone_default: 'business',
+    };
+    exampleJa = '本件について、今週中にご意見をいただけますと幸いです。';
+    exampleEn =
+      'We would appreciate it if you could share your feedback on this matter within this week.';
+  } else if (code === '4') {
+    patch = {
+      level_type: 'eiken',
+      level_value: '1',
+      usage_default: 'MAIL_EXTERNAL',
+      tone_default: 'business',
+    };
+    exampleJa =
+      '今回の変更が長期的な戦略にどのような影響を与えるか、整理しておきたいです。';
+    exampleEn =
+      'I would like to clarify how this change will affect our long-term strategy.';
+  } else {
+    // 想定外の値なら何もしない
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: '1〜4のどれかを選んでください。',
+      quickReply: { items: baseQuickReplyItems(true) },
+    });
+  }
+
+  // かんたん設定はレベル・用途・文体をまとめて決めるので、はじめの設定も完了扱い
+  if (isOnboarding(user)) {
+    patch.onboarding_state = 'done';
+  }
+
+  const updated = await updateUser(user.line_user_id, patch);
+
+  const textReply =
+    '🧩 ざっくり設定を反映しました。\n\n' +
+    buildSettingsSummary(updated) +
+    '\n例）この設定なら、だいたいこんなイメージの英文になります：\n' +
+    `・日本語：${exampleJa}\n` +
+    `・英語：${exampleEn}\n\n` +
+    'あとから細かく変えたくなったら、「ホーム」→「⚙️ 設定」→ 各設定ボタンから調整できます。';
+
+  const message = {
+    type: 'text',
+    text: textReply,
+    quickReply: { items: homeQuickReplyItems() },
+  };
+
+  return lineClient.replyMessage(replyToken, message);
+}
+
+// -- 用途設定 --
+
+function usageSceneMessage(trailingItems = baseQuickReplyItems(true)) {
+  return {
+    type: 'text',
+    text:
+      '📮 よく使う場面を選んでください。\n\n' +
+      '同じ内容でも、場面によって英語が少し変わります。\n\n' +
+      '例）「明日のランチ、一緒にどう？」\n' +
+      "・友だち・同僚チャット：Let's grab lunch tomorrow.\n" +
+      '・社内メール：Could we have lunch together tomorrow?\n' +
+      '・社外メール：I was wondering if you would be available for lunch tomorrow.\n\n' +
+      '社内メール・社外メールを選ぶと、件名・あいさつ・結び・署名まで入ったメールの形で作ります。',
+    quickReply: {
+      items: [
+        postbackItem('友だち・同僚チャット', { action: 'set_usage', value: 'CHAT_FRIEND' }),
+        postbackItem('社内メール', { action: 'set_usage', value: 'MAIL_INTERNAL' }),
+        postbackItem('社外メール', { action: 'set_usage', value: 'MAIL_EXTERNAL' }),
+        ...trailingItems,
       ],
     },
   };
+}
+
+async function replyUsageScene(replyToken) {
+  return lineClient.replyMessage(replyToken, usageSceneMessage());
+}
+
+async function handleSetUsageScene(replyToken, user, value) {
+  let usage = 'CHAT_FRIEND';
+  if (value === 'MAIL_INTERNAL') usage = 'MAIL_INTERNAL';
+  if (value === 'MAIL_EXTERNAL') usage = 'MAIL_EXTERNAL';
+
+  const updated = await updateUser(user.line_user_id, {
+    usage_default: usage,
+  });
+
+  const textReply =
+    `📮 よく使う場面を「${usageSceneLabel(
+      updated.usage_default
+    )}」として登録しました。\n\n` + buildSettingsSummary(updated);
+
+  if (isOnboarding(updated)) {
+    return continueOnboarding(replyToken, updated, 'usage', textReply.split('\n')[0] + '\n\n');
+  }
+
+  const message = {
+    type: 'text',
+    text: textReply,
+    quickReply: { items: homeQuickReplyItems() },
+  };
   return lineClient.replyMessage(replyToken, message);
 }
 
-async function replyLevelToeic(replyToken) {
+// -- 文体設定 --
+
+function toneSettingMessage(trailingItems = baseQuickReplyItems(true)) {
+  return {
+    type: 'text',
+    text:
+      '🎨 よく使う文体を選んでください。\n\n' +
+      '例）「これ、確認してもらえますか？」\n' +
+      '・カジュアル：Can you check this?\n' +
+      '・丁寧：Could you take a look at this?\n' +
+      '・ビジネス：I would appreciate it if you could review this.',
+    quickReply: {
+      items: [
+        postbackItem('カジュアル', { action: 'set_tone', value: 'casual' }),
+        postbackItem('丁寧', { action: 'set_tone', value: 'polite' }),
+        postbackItem('ビジネス', { action: 'set_tone', value: 'business' }),
+        ...trailingItems,
+      ],
+    },
+  };
+}
+
+async function replyToneSetting(replyToken) {
+  return lineClient.replyMessage(replyToken, toneSettingMessage());
+}
+
+async function handleSetTone(replyToken, user, value) {
+  let tone = 'polite';
+  if (value === 'casual') tone = 'casual';
+  if (value === 'business') tone = 'business';
+
+  const updated = await updateUser(user.line_user_id, {
+    tone_default: tone,
+  });
+
+  const textReply =
+    `🎨 文体を「${toneLabel(updated.tone_default)}」にしました。\n\n` +
+    buildSettingsSummary(updated);
+
+  if (isOnboarding(updated)) {
+    return continueOnboarding(replyToken, updated, 'tone', textReply.split('\n')[0] + '\n\n');
+  }
+
   const message = {
+    type: 'text',
+    text: textReply,
+    quickReply: { items: homeQuickReplyItems() },
+  };
+  return lineClient.replyMessage(replyToken, message);
+}
+
+// -- 翻訳先の言語 --
+
+function targetLanguageMessage(trailingItems = baseQuickReplyItems(true)) {
+  return {
     type: 'text',
     text:
-      'TOEIC のだいたいのスコア帯を選んでください。\n\n' +
-      '同じ日本語「明日は在宅勤務です」をスコア帯ごとに書いたイメージです：\n' +
-      '・〜400: I stay at home tomorrow.\n' +
-      '・400〜600: I will stay at home and work tomorrow.\n' +
-      '・600〜800: I will be working from home tomorrow.\n' +
-      '・800〜: I will be working from home tomorrow, so I may respond a bit more slowly than usual.\n\n' +
-      'レベル選択がよくわからない場合は、「かんたんテスト」から欲しい英文のレベルを選んでください。',
+      '🌐 日本語を送ったときに、何語にするかを選んでください。\n\n' +
+      `・${supportedLanguagesText()}で送られた文は、設定にかかわらず日本語に訳します。\n` +
+      '・1回だけほかの言語にしたいときは、「韓国語にして」のように送ってください。',
     quickReply: {
       items: [
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '〜400',
-            text: 'SET_LEVEL_TOEIC_UNDER400',
-          },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '400〜600',
-            text: 'SET_LEVEL_TOEIC_400_600',
-          },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '600〜800',
-            text: 'SET_LEVEL_TOEIC_600_800',
-          },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '800〜',
-            text: 'SET_LEVEL_TOEIC_OVER800',
-          },
-        },
-        ...baseQuickReplyItems(true),
+        ...Object.entries(LANGUAGES).map(([code, language]) =>
+          postbackItem(`${language.flag} ${language.label}`, {
+            action: 'set_target_language',
+            value: code,
+          })
+        ),
+        ...trailingItems,
       ],
     },
   };
+}
+
+async function replyTargetLanguageSetting(replyToken) {
+  return lineClient.replyMessage(replyToken, targetLanguageMessage());
+}
+
+async function handleSetTargetLanguage(replyToken, user, value) {
+  const updated = await updateUser(user.line_user_id, {
+    target_language: languageOrEnglish(value),
+  });
+
+  const message = {
+    type: 'text',
+    text:
+      `🌐 翻訳先を「${LANGUAGES[updated.target_language].label}」にしました。\n\n` +
+      buildSettingsSummary(updated),
+    quickReply: { items: homeQuickReplyItems() },
+  };
   return lineClient.replyMessage(replyToken, message);
 }
 
-// 「かんたん設定」用：イメージで4択
-async function replyLevelPreset(replyToken) {
-  const text =
-    '🧩 かんたん設定\n\n' +
-    '同じ日本語「明日の会議の開始時間を少し遅らせたいです。」を、4つの雰囲気で書いたサンプルです。\n\n' +
-    '1) やさしめのシンプル英語（友だち・同僚チャット中心）\n' +
-    '   → Can we start the meeting a little later tomorrow?\n' +
-    '2) ふつうのビジネス英語（社内メール中心）\n' +
-    '   → Could we start the meeting a little later tomorrow?\n' +
-    '3) かっちりめのビジネス英語（社外メール中心）\n' +
-    '   → I was wondering if we could start the meeting a little later tomorrow.\n' +
-    '4) ネイティブ寄りのしっかりした英語\n' +
-    '   → I would like to ask if it would be possible to start the meeting a little later tomorrow.\n\n' +
-    '「自分だったらこの日本語をこう書く」という番号を選んでください。';
+// 「中国語にして」「スペイン語にして 明日は休みです」→ { language, text }（text がなければ直前の日本語）
+// 訳す文は空白かコロンで区切ったときだけ。「英語にしてほしい」のような普通の文はコマンドにしない
+function parseTranslateOnceCommand(text) {
+  const match = text.trim().match(/^(\S+?語)にして(?:[\s:：]+([\s\S]*))?$/);
+  if (!match) return null;
+
+  const language = Object.keys(LANGUAGES).find((code) => LANGUAGES[code].label === match[1]);
+  return language ? { language, text: (match[2] || '').trim() } : null;
+}
+
+async function handleTranslateOnce(replyToken, user, { language, text }, options = {}) {
+  const sourceText = text || user.last_source_ja;
+  if (!sourceText) {
+    const label = LANGUAGES[language].label;
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text:
+        `まず日本語の文を送ってから「${label}にして」と送るか、\n` +
+        `「${label}にして 明日は休みです」のように続けて書いてください。`,
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+
+  await chargeQuota(options);
+  return handleJaToEn(sourceText, replyToken, user, { ...options, targetLanguage: language });
+}
+
+// -- トーン変更 --
+
+// rephrase: true なら「別の言い方」（同じ文体のまま、キャッシュを使わずに作り直す）
+async function handleToneChange(replyToken, user, tone, options = {}) {
+  const rephrase = Boolean(options.rephrase);
+  if (!user.last_source_ja) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: rephrase
+        ? 'まず日本語の文を送って英文を作ってから、別の言い方を試してみてください。'
+        : 'まず日本語の文を送って英文を作ってから、文体を変えてみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+
+  const toneOverride = TONE_SHORT_LABELS[tone] ? tone : user.tone_default;
+  const toneForMessage = TONE_SHORT_LABELS[toneOverride] || '丁寧';
+
+  await chargeQuota(options);
+
+  // 直前がメール・返信なら、その形のまま作り直す
+  if (user.last_mode === 'EMAIL') {
+    return handleComposeEmail(user.last_source_ja, replyToken, user, {
+      tone: toneOverride,
+      rephrase,
+      usageFeature: 'TONE_CHANGE',
+      targetLanguage: languageOrEnglish(user.last_target_language),
+      quotaNote: options.quotaNote,
+    });
+  }
+  if (user.last_mode === 'EMAIL_REPLY') {
+    return handleDraftReply(user.last_source_ja, replyToken, user, {
+      tone: toneOverride,
+      rephrase,
+      usageFeature: 'TONE_CHANGE',
+      quotaNote: options.quotaNote,
+    });
+  }
+
+  const previousOutput = user.last_output_en || '';
+  const language = languageOrEnglish(user.last_target_language);
+
+  const output = await generateTranslationFromJapanese({
+    user,
+    sourceText: user.last_source_ja,
+    toneOverride,
+    targetLanguage: language,
+    usageFeature: 'TONE_CHANGE',
+    rephrase,
+  });
+
+  let note = '';
+  if (previousOutput && previousOutput.trim() === output.trim()) {
+    note = rephrase
+      ? '（💬 この文はほかの言い方でもほぼ同じ表現になるので、このまま使えます。）'
+      : `（💬 この文は文体を変えてもほぼ同じ表現になるので、${toneForMessage}でもこのまま使えます。）`;
+  }
+
+  const updated = await updateUser(user.line_user_id, {
+    last_output_en: output,
+    last_mode: 'JA_TO_EN',
+  });
+
+  await saveHistorySafely(user, {
+    direction: 'JA_TO_EN',
+    language,
+    sourceText: user.last_source_ja,
+    outputText: output,
+    tone: toneOverride,
+  });
+
+  const message = jaToTargetMessage({
+    user: updated,
+    sourceText: user.last_source_ja,
+    output,
+    tone: toneOverride,
+    note,
+    language,
+    quickReply: { items: toneQuickReplyItems(toneOverride, language) },
+  });
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
+}
+
+// -- 複数の候補 --
+
+async function handleShowCandidates(replyToken, user, options = {}) {
+  if (!user.last_source_ja) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'まず日本語の文を送って英文を作ってから、ほかの案を見てみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+  if (isEmailMode(user) || languageOrEnglish(user.last_target_language) !== 'en') {
+    return replySentenceOnly(replyToken, user, '🔀 ほかの案');
+  }
+
+  await chargeQuota(options);
+  const candidates = await generateEnglishCandidates({
+    user,
+    sourceText: user.last_source_ja,
+  });
+
+  if (candidates.length < 2) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'ほかの案をうまく作れませんでした。もう一度お試しください。',
+      quickReply: { items: toneQuickReplyItems() },
+    });
+  }
+
+  // 選んだときに使うので、候補は元の文と一緒に users.pending_candidates に置いておく
+  await updateUser(user.line_user_id, {
+    pending_candidates: { source_text: user.last_source_ja, candidates },
+  });
+
+  let preferredStyle = null;
+  try {
+    const counts = await countCandidateStyles(user.line_user_id);
+    const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (top && top[1] >= 3) preferredStyle = top[0];
+  } catch (e) {
+    reportError('Count candidate styles error', e);
+  }
+
+  let text = '🔀 ほかの言い方の案です\n\n';
+  candidates.forEach((c, i) => {
+    const star = c.style === preferredStyle ? '⭐ ' : '';
+    text += `${NUMBER_LABELS[i]} ${star}${CANDIDATE_STYLES[c.style]}\n${c.en}\n\n`;
+  });
+  text += 'いちばん近いものを選ぶと、その英文で続けられます。';
+  if (preferredStyle) {
+    text += '\n（⭐ はあなたがよく選ぶタイプです）';
+  }
 
   const message = {
     type: 'text',
     text,
     quickReply: {
       items: [
-        {
-          type: 'action',
-          action: { type: 'message', label: '①', text: 'SET_LEVEL_PRESET_1' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '②', text: 'SET_LEVEL_PRESET_2' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '③', text: 'SET_LEVEL_PRESET_3' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '④', text: 'SET_LEVEL_PRESET_4' },
-        },
-        ...baseQuickReplyItems(true),
+        ...candidates.map((c, i) =>
+          postbackItem(NUMBER_LABELS[i], { action: 'choose_candidate', i }, `${NUMBER_LABELS[i]}の案にする`)
+        ),
+        homeButton(),
       ],
     },
   };
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
+}
+
+async function handleChooseCandidate(replyToken, user, index) {
+  // 新しい文を送ったあとに前の文の候補を押されたら、その候補は使わない
+  const pending = user.pending_candidates;
+  const isCurrent =
+    pending && user.last_source_ja && pending.source_text === user.last_source_ja;
+  const candidates = isCurrent && Array.isArray(pending.candidates) ? pending.candidates : [];
+  const chosen = candidates[index];
+  if (!chosen) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'その案が見つかりませんでした。もう一度「🔀 ほかの案」から選んでください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+
+  const updated = await updateUser(user.line_user_id, {
+    last_output_en: chosen.en,
+    last_target_language: 'en',
+    last_mode: 'JA_TO_EN',
+  });
+
+  try {
+    await recordCandidateChoice(user, {
+      sourceText: user.last_source_ja,
+      style: chosen.style,
+      chosenEn: chosen.en,
+      candidates,
+    });
+  } catch (e) {
+    reportError('Record candidate choice error', e);
+  }
+
+  await saveHistorySafely(user, {
+    direction: 'JA_TO_EN',
+    sourceText: user.last_source_ja,
+    outputText: chosen.en,
+  });
 
+  const message = jaToTargetMessage({
+    user: updated,
+    sourceText: user.last_source_ja,
+    output: chosen.en,
+    tone: user.tone_default,
+    note: `（${NUMBER_LABELS[index]} ${CANDIDATE_STYLES[chosen.style]}の案にしました）`,
+    // 候補はいつもの文体で作っているので、その文体のまま別の言い方にできるようにする
+    quickReply: { items: toneQuickReplyItems(user.tone_default) },
+  });
   return lineClient.replyMessage(replyToken, message);
 }
 
-async function handleSetLevelEiken(replyToken, user, text) {
-  const code = text.replace('SET_LEVEL_EIKEN_', '').toUpperCase(); // 5,4,3,PRE2,2,PRE1,1
-  let value;
-  switch (code) {
-    case '5':
-    case '4':
-    case '3':
-    case '2':
-    case '1':
-      value = code;
-      break;
-    case 'PRE2':
-      value = 'pre2';
-      break;
-    case 'PRE1':
-      value = 'pre1';
-      break;
-    default:
-      value = '2';
+// 直前に作ったのがメール・返信か
+function isEmailMode(user) {
+  return user.last_mode === 'EMAIL' || user.last_mode === 'EMAIL_REPLY';
+}
+
+// メールや英語以外の言語で作った直後に、英語の 1 文にしかない機能が呼ばれたとき
+async function replySentenceOnly(replyToken, user, featureLabel) {
+  if (isEmailMode(user)) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text:
+        `「${featureLabel}」はメールの形では使えません。\n` +
+        '文体の変更や別の言い方を試してみてください。',
+      quickReply: { items: emailQuickReplyItems() },
+    });
   }
 
-  const updated = await updateUser(user.line_user_id, {
-    level_type: 'eiken',
-    level_value: value,
+  const language = languageOrEnglish(user.last_target_language);
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text:
+      `「${featureLabel}」は英文を作ったときだけ使えます。\n` +
+      `直前の文は${LANGUAGES[language].label}で作ったので、文体の変更や別の言い方を試してみてください。`,
+    quickReply: { items: toneQuickReplyItems(undefined, language) },
   });
+}
 
-  const textReply =
-    `🎯 レベルを「${levelLabel(updated)}」のイメージで登録しました。\n\n` +
-    buildSettingsSummary(updated);
+// -- 「この英文でOK」 --
+
+async function handleAcceptCurrentEnglish(replyToken, user, options = {}) {
+  const en = user.last_output_en;
+  if (!en) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'まず日本語の文を送って、英文を作ってから選んでください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+  if (isEmailMode(user) || languageOrEnglish(user.last_target_language) !== 'en') {
+    return replySentenceOnly(replyToken, user, '✨ この英文でOK');
+  }
+
+  await chargeQuota(options);
+  let lessonText = '';
+  try {
+    lessonText = await generateOnePointLesson(en, user);
+  } catch (e) {
+    reportError('One-point lesson error', e);
+  }
 
   const message = {
     type: 'text',
-    text: textReply,
-    quickReply: { items: homeQuickReplyItems() },
+    text:
+      lessonText
+        ? '✨ よりネイティブに近づけた表現なら、たとえば\n------------------------------\n' +
+          lessonText
+        : 'ネイティブ寄りの別案の生成に失敗しましたが、英文自体はそのまま使って大丈夫です。',
+    quickReply: { items: baseQuickReplyItems(true) },
   };
-  return lineClient.replyMessage(replyToken, message);
+
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
 }
 
-async function handleSetLevelToeic(replyToken, user, text) {
-  let value = '400_600';
-  if (text === 'SET_LEVEL_TOEIC_UNDER400') value = 'under400';
-  if (text === 'SET_LEVEL_TOEIC_400_600') value = '400_600';
-  if (text === 'SET_LEVEL_TOEIC_600_800') value = '600_800';
-  if (text === 'SET_LEVEL_TOEIC_OVER800') value = 'over800';
+// -- 読み上げ --
 
-  const updated = await updateUser(user.line_user_id, {
-    level_type: 'toeic',
-    level_value: value,
-  });
+async function handleReadAloud(replyToken, user, options = {}) {
+  const output = user.last_output_en;
+  const language = languageOrEnglish(user.last_target_language);
+  if (!output) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'まず日本語の文を送って、英文を作ってから読み上げてみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
 
-  const textReply =
-    `🎯 レベルを「${levelLabel(updated)}」のイメージで登録しました。\n\n` +
-    buildSettingsSummary(updated);
+  const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+  if (!baseUrl) {
+    reportError(
+      'TTS unavailable',
+      new Error('PUBLIC_BASE_URL is not set; cannot serve TTS audio')
+    );
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'いまは読み上げ機能が使えません。しばらくしてからもう一度お試しください。',
+      quickReply: { items: toneQuickReplyItems(undefined, language) },
+    });
+  }
+
+  await chargeQuota(options);
+  let speech;
+  try {
+    speech = await getOrSynthesizeSpeech(output);
+  } catch (e) {
+    reportError('TTS error', e);
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: '読み上げ音声の作成に失敗しました。もう一度お試しください。',
+      quickReply: { items: toneQuickReplyItems(undefined, language) },
+    });
+  }
 
   const message = {
+    type: 'audio',
+    originalContentUrl: `${baseUrl}/tts/${speech.key}.mp3`,
+    duration: Math.max(1, speech.durationMs),
+    quickReply: { items: toneQuickReplyItems(undefined, language) },
+  };
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
+}
+
+// -- 翻訳履歴 --
+
+function truncateForList(text, max = 40) {
+  const oneLine = (text || '').replace(/\s+/g, ' ').trim();
+  return oneLine.length > max ? oneLine.slice(0, max) + '…' : oneLine;
+}
+
+function formatHistoryDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('ja-JP', {
+    timeZone: 'Asia/Tokyo',
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+const HISTORY_MODE_LABELS = { EMAIL: 'メール', EMAIL_REPLY: '返信' };
+
+async function replyHistory(replyToken, user, page) {
+  const { entries, hasNext } = await listTranslations(user.line_user_id, page);
+
+  if (entries.length === 0) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text:
+        page > 1
+          ? 'これより前の履歴はありません。'
+          : 'まだ翻訳の履歴がありません。\n日本語か英語の文を送ってみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+
+  let text = `🕘 翻訳履歴（${page}ページ目）\n\n`;
+  entries.forEach((entry, i) => {
+    const short = LANGUAGES[languageOrEnglish(entry.language)].short;
+    const arrow = entry.direction === 'EN_TO_JA' ? `${short}→日` : `日→${short}`;
+    const kind = HISTORY_MODE_LABELS[entry.mode] ? ` / ${HISTORY_MODE_LABELS[entry.mode]}` : '';
+    const tone = entry.direction === 'JA_TO_EN' ? ` / ${toneLabel(entry.tone)}${kind}` : '';
+    text +=
+      `${NUMBER_LABELS[i]} ${formatHistoryDate(entry.created_at)}［${arrow}${tone}］\n` +
+      `   ${truncateForList(entry.source_text)}\n` +
+      `   → ${truncateForList(entry.output_text)}\n`;
+  });
+  text += '\n番号を選ぶと、その翻訳をもう一度開けます。';
+
+  const items = entries.map((entry, i) =>
+    postbackItem(
+      NUMBER_LABELS[i],
+      { action: 'history_open', id: entry.id },
+      `履歴${NUMBER_LABELS[i]}を開く`
+    )
+  );
+  if (page > 1) {
+    items.push(postbackItem('◀ 新しい履歴', { action: 'history_page', page: page - 1 }));
+  }
+  if (hasNext) {
+    items.push(postbackItem('古い履歴 ▶', { action: 'history_page', page: page + 1 }));
+  }
+  items.push(homeButton());
+
+  return lineClient.replyMessage(replyToken, {
     type: 'text',
-    text: textReply,
-    quickReply: { items: homeQuickReplyItems() },
+    text,
+    quickReply: { items },
+  });
+}
+
+// 過去の翻訳を「直前の翻訳」として開き直す（トーン変更・この英文でOK が効くようにする）
+async function handleOpenHistory(replyToken, user, id) {
+  const entry = await getTranslation(user.line_user_id, id);
+  if (!entry) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'その履歴は見つかりませんでした。',
+      quickReply: { items: [historyButton(), ...baseQuickReplyItems(false)] },
+    });
+  }
+
+  if (entry.direction === 'EN_TO_JA') {
+    await updateUser(user.line_user_id, {
+      last_source_en: entry.source_text,
+      last_source_language: languageOrEnglish(entry.language),
+      last_output_ja: entry.output_text,
+      last_mode: 'EN_TO_JA',
+      pending_reply_at: null,
+    });
+
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text:
+        `🕘 ${formatHistoryDate(entry.created_at)} の翻訳\n\n` +
+        `${entry.source_text}\n------------------------------\n` +
+        buildEnToJaText(entry.output_text, entry.glossary),
+      quickReply: { items: [replyDraftButton(), historyButton(), ...baseQuickReplyItems(false)] },
+    });
+  }
+
+  const language = languageOrEnglish(entry.language);
+  if (entry.mode === 'EMAIL' || entry.mode === 'EMAIL_REPLY') {
+    return reopenEmailHistory(replyToken, user, entry, language);
+  }
+
+  await updateUser(user.line_user_id, {
+    last_source_ja: entry.source_text,
+    last_output_en: entry.output_text,
+    last_target_language: language,
+    last_mode: 'JA_TO_EN',
+  });
+
+  return lineClient.replyMessage(replyToken, [
+    {
+      type: 'text',
+      text:
+        `🕘 ${formatHistoryDate(entry.created_at)} の翻訳（${toneLabel(entry.tone)}）\n\n` +
+        entry.source_text,
+    },
+    {
+      type: 'text',
+      text: entry.output_text,
+      quickReply: { items: toneQuickReplyItems(undefined, language) },
+    },
+  ]);
+}
+
+// メール・返信は、トーン変更や別の言い方でメールの形のまま作り直せるように元の状態に戻す
+async function reopenEmailHistory(replyToken, user, entry, language) {
+  const patch = {
+    last_source_ja: entry.source_text,
+    last_output_en: entry.output_text,
+    last_target_language: language,
+    last_mode: entry.mode,
   };
-  return lineClient.replyMessage(replyToken, message);
+  if (entry.mode === 'EMAIL_REPLY') {
+    patch.last_source_en = entry.reply_to_text;
+    patch.last_source_language = language;
+    patch.pending_reply_at = null;
+  }
+  const updated = await updateUser(user.line_user_id, patch);
+
+  const label = entry.mode === 'EMAIL_REPLY' ? '返信' : 'メール';
+  const lead =
+    `🕘 ${formatHistoryDate(entry.created_at)} の${label}（${toneLabel(entry.tone)}）\n\n` +
+    entry.source_text;
+  return lineClient.replyMessage(
+    replyToken,
+    emailMessages(updated, {
+      lead,
+      email: { subject: entry.subject },
+      body: entry.output_text,
+      tone: entry.tone,
+    })
+  );
 }
 
-async function handleSetLevelPreset(replyToken, user, text) {
-  const code = text.replace('SET_LEVEL_PRESET_', '').trim();
-  let patch = {};
-  let exampleJa = '';
-  let exampleEn = '';
+// -- 単語帳 --
 
-  if (code === '1') {
-    patch = {
-      level_type: 'eiken',
-      level_value: '5',
-      usage_default: 'CHAT_FRIEND',
-      tone_default: 'casual',
-    };
-    exampleJa = '明日のランチ、一緒にどう？';
-    exampleEn = "Let's have lunch together tomorrow.";
-  } else if (code === '2') {
-    patch = {
-      level_type: 'eiken',
-      level_value: '3',
-      usage_default: 'MAIL_INTERNAL',
-      tone_default: 'polite',
-    };
-    exampleJa = 'さきほどお送りした資料をご確認いただけますか？';
-    exampleEn = 'Could you take a look at the materials I sent earlier?';
-  } else if (code === '3') {
-    patch = {
-      level_type: 'eiken',
-      level_value: 'pre1',
-      usage_default: 'MAIL_EXTERNAL',
-      tone_default: 'business',
-    };
-    exampleJa = '本件について、今週中にご意見をいただけますと幸いです。';
-    exampleEn =
-      'We would appreciate it if you could share your feedback on this matter within this week.';
-  } else if (code === '4') {
-    patch = {
-      level_type: 'eiken',
-      level_value: '1',
-      usage_default: 'MAIL_EXTERNAL',
-      tone_default: 'business',
-    };
-    exampleJa =
-      '今回の変更が長期的な戦略にどのような影響を与えるか、整理しておきたいです。';
-    exampleEn =
-      'I would like to clarify how this change will affect our long-term strategy.';
-  } else {
-    // 想定外の値なら何もしない
+async function replyVocabularyList(replyToken, user, { page, keyword = '' }) {
+  const { entries, hasNext } = await listVocabulary(user.line_user_id, {
+    page,
+    keyword,
+  });
+
+  if (entries.length === 0) {
+    let emptyText;
+    if (keyword) {
+      emptyText = `「${keyword}」に当てはまる単語は単語帳にありませんでした。`;
+    } else if (page > 1) {
+      emptyText = 'これより前の単語はありません。';
+    } else {
+      emptyText =
+        'まだ単語帳に単語がありません。\n' +
+        '英語などの外国語の文を送ると、解説に出てきた単語・表現がここにたまっていきます。';
+    }
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: emptyText,
+      quickReply: { items: [vocabularyButton(), ...baseQuickReplyItems(false)] },
+    });
+  }
+
+  let text = keyword
+    ? `📒 単語帳の検索結果「${keyword}」\n\n`
+    : `📒 単語帳（${page}ページ目）\n\n`;
+  entries.forEach((entry, i) => {
+    text += `${NUMBER_LABELS[i]} ${entry.term}: ${entry.meaning_ja || ''}\n`;
+  });
+  text +=
+    '\n番号を選ぶと、出てきた文といっしょに確認・削除できます。\n' +
+    '「単語検索:ワード」と送ると、単語帳の中を検索できます。';
+
+  const items = entries.map((entry, i) =>
+    postbackItem(NUMBER_LABELS[i], { action: 'vocab_view', id: entry.id }, entry.term)
+  );
+  if (!keyword && page > 1) {
+    items.push(postbackItem('◀ 新しい単語', { action: 'vocab_page', page: page - 1 }));
+  }
+  if (!keyword && hasNext) {
+    items.push(postbackItem('古い単語 ▶', { action: 'vocab_page', page: page + 1 }));
+  }
+  if (keyword) {
+    items.push(vocabularyButton());
+  }
+  items.push(reviewButton(), homeButton());
+
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text,
+    quickReply: { items },
+  });
+}
+
+async function replyVocabularyDetail(replyToken, user, id) {
+  const entry = await getVocabulary(user.line_user_id, id);
+  if (!entry) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'その単語は単語帳に見つかりませんでした。',
+      quickReply: { items: [vocabularyButton(), ...baseQuickReplyItems(false)] },
+    });
+  }
+
+  let text = `📒 ${entry.term}\n\n・意味：${entry.meaning_ja || '（なし）'}\n`;
+  if (entry.note_ja) {
+    text += `・ポイント：${entry.note_ja}\n`;
+  }
+  if (entry.source_text) {
+    const label = sentenceLabel(languageOrEnglish(entry.language));
+    text += `\n💬 出てきた${label}（${formatHistoryDate(entry.created_at)}）\n${entry.source_text}`;
+  }
+
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text,
+    quickReply: {
+      items: [
+        postbackItem('🗑 削除する', { action: 'vocab_delete', id: entry.id }, `「${entry.term}」を削除`),
+        vocabularyButton(),
+        homeButton(),
+      ],
+    },
+  });
+}
+
+// 和訳カードの「📒 保存」ボタン。単語帳から消した単語をもう一度入れたいとき用
+async function handleSaveGlossaryTerm(replyToken, user, translationId, index) {
+  const entry = await getTranslation(user.line_user_id, translationId);
+  const g = entry && Array.isArray(entry.glossary) ? entry.glossary[index] : null;
+  if (!g || !g.term) {
     return lineClient.replyMessage(replyToken, {
       type: 'text',
-      text: '1〜4のどれかを選んでください。',
-      quickReply: { items: baseQuickReplyItems(true) },
+      text: 'その単語が見つかりませんでした。',
+      quickReply: { items: [vocabularyButton(), ...baseQuickReplyItems(false)] },
     });
   }
 
-  const updated = await updateUser(user.line_user_id, patch);
-
-  const textReply =
-    '🧩 ざっくり設定を反映しました。\n\n' +
-    buildSettingsSummary(updated) +
-    '\n例）この設定なら、だいたいこんなイメージの英文になります：\n' +
-    `・日本語：${exampleJa}\n` +
-    `・英語：${exampleEn}\n\n` +
-    'あとから細かく変えたくなったら、「ホーム」→「⚙️ 設定」→ 各設定ボタンから調整できます。';
+  await saveVocabulary(user, [g], {
+    sourceText: entry.source_text,
+    language: entry.language,
+    translationId: entry.id,
+  });
 
-  const message = {
+  return lineClient.replyMessage(replyToken, {
     type: 'text',
-    text: textReply,
-    quickReply: { items: homeQuickReplyItems() },
-  };
+    text: `📒「${g.term}」を単語帳に保存しました。`,
+    quickReply: { items: [vocabularyButton(), reviewButton(), homeButton()] },
+  });
+}
 
-  return lineClient.replyMessage(replyToken, message);
+async function handleDeleteVocabulary(replyToken, user, id) {
+  const entry = await getVocabulary(user.line_user_id, id);
+  if (!entry) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: 'その単語はもう単語帳にありません。',
+      quickReply: { items: [vocabularyButton(), ...baseQuickReplyItems(false)] },
+    });
+  }
+
+  await deleteVocabulary(user.line_user_id, id);
+
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text: `🗑「${entry.term}」を単語帳から削除しました。`,
+    quickReply: { items: [vocabularyButton(), homeButton()] },
+  });
 }
 
-// -- 用途設定 --
+// -- 復習 --
 
-async function replyUsageScene(replyToken) {
-  const message = {
+function buildReviewQuestionText(card, remaining) {
+  let text =
+    `🔁 復習（のこり ${remaining} 語）\n\n` +
+    `「${card.term}」の意味は？\n`;
+  if (card.source_text) {
+    const label = sentenceLabel(languageOrEnglish(card.language));
+    text += `\n💬 出てきた${label}\n${card.source_text}\n`;
+  }
+  text += '\n思い浮かべてから「答えを見る」を押してください。';
+  return text;
+}
+
+function reviewQuestionMessage(card, remaining) {
+  return {
     type: 'text',
-    text:
-      '📮 よく使う場面を選んでください。\n\n' +
-      '同じ内容でも、場面によって英語が少し変わります。\n\n' +
-      '例）「明日のランチ、一緒にどう？」\n' +
-      "・友だち・同僚チャット：Let's grab lunch tomorrow.\n" +
-      '・社内メール：Could we have lunch together tomorrow?\n' +
-      '・社外メール：I was wondering if you would be available for lunch tomorrow.',
+    text: buildReviewQuestionText(card, remaining),
     quickReply: {
       items: [
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '友だち・同僚チャット',
-            text: 'SET_USAGE_CHAT_FRIEND',
-          },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '社内メール',
-            text: 'SET_USAGE_MAIL_INTERNAL',
-          },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '社外メール',
-            text: 'SET_USAGE_MAIL_EXTERNAL',
-          },
-        },
-        ...baseQuickReplyItems(true),
+        postbackItem('👀 答えを見る', { action: 'review_answer', id: card.id }, '答えを見る'),
+        homeButton(),
       ],
     },
   };
-  return lineClient.replyMessage(replyToken, message);
 }
 
-async function handleSetUsageScene(replyToken, user, text) {
-  let usage = 'CHAT_FRIEND';
-  if (text === 'SET_USAGE_MAIL_INTERNAL') usage = 'MAIL_INTERNAL';
-  if (text === 'SET_USAGE_MAIL_EXTERNAL') usage = 'MAIL_EXTERNAL';
-
-  const updated = await updateUser(user.line_user_id, {
-    usage_default: usage,
-  });
-
-  const textReply =
-    `📮 よく使う場面を「${usageSceneLabel(
-      updated.usage_default
-    )}」として登録しました。\n\n` + buildSettingsSummary(updated);
-
-  const message = {
+function reviewDoneMessage(prefix = '') {
+  return {
     type: 'text',
-    text: textReply,
-    quickReply: { items: homeQuickReplyItems() },
+    text:
+      prefix +
+      '🎉 いま復習する単語はもうありません。\n' +
+      '覚えぐあいに合わせて、次に出てくるタイミングを調整しておきます。',
+    quickReply: { items: [vocabularyButton(), ...baseQuickReplyItems(false)] },
   };
-  return lineClient.replyMessage(replyToken, message);
 }
 
-// -- 文体設定 --
+async function replyReviewQuestion(replyToken, user) {
+  const now = clock.now();
+  const [card] = await listDueVocabulary(user.line_user_id, now);
+  if (!card) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text:
+        'いま復習する単語はありません。\n' +
+        '英語などの外国語の文を送ると、解説に出てきた単語が単語帳に入り、復習に出てくるようになります。',
+      quickReply: { items: [vocabularyButton(), ...baseQuickReplyItems(false)] },
+    });
+  }
 
-async function replyToneSetting(replyToken) {
-  const message = {
+  const remaining = await countDueVocabulary(user.line_user_id, now);
+  return lineClient.replyMessage(replyToken, reviewQuestionMessage(card, remaining));
+}
+
+async function replyReviewAnswer(replyToken, user, id) {
+  const card = await getVocabulary(user.line_user_id, id);
+  if (!card) {
+    return lineClient.replyMessage(replyToken, reviewDoneMessage());
+  }
+
+  let text = `📒 ${card.term}\n\n・意味：${card.meaning_ja || '（なし）'}\n`;
+  if (card.note_ja) {
+    text += `・ポイント：${card.note_ja}\n`;
+  }
+  text += '\nどのくらい覚えていましたか？';
+
+  const gradeButton = (label, grade) =>
+    postbackItem(label, { action: 'review_grade', grade, id: card.id }, grade);
+
+  return lineClient.replyMessage(replyToken, {
     type: 'text',
-    text:
-      '🎨 よく使う文体を選んでください。\n\n' +
-      '例）「これ、確認してもらえますか？」\n' +
-      '・カジュアル：Can you check this?\n' +
-      '・丁寧：Could you take a look at this?\n' +
-      '・ビジネス：I would appreciate it if you could review this.',
+    text,
     quickReply: {
       items: [
-        {
-          type: 'action',
-          action: { type: 'message', label: 'カジュアル', text: 'SET_TONE_CASUAL' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: '丁寧', text: 'SET_TONE_POLITE' },
-        },
-        {
-          type: 'action',
-          action: { type: 'message', label: 'ビジネス', text: 'SET_TONE_BUSINESS' },
-        },
-        ...baseQuickReplyItems(true),
+        gradeButton('⭕ 覚えた', '覚えた'),
+        gradeButton('🔺 あいまい', 'あいまい'),
+        gradeButton('❌ 忘れた', '忘れた'),
+        homeButton(),
       ],
     },
-  };
-  return lineClient.replyMessage(replyToken, message);
+  });
 }
 
-async function handleSetTone(replyToken, user, text) {
-  let tone = 'polite';
-  if (text === 'SET_TONE_CASUAL') tone = 'casual';
-  if (text === 'SET_TONE_BUSINESS') tone = 'business';
+async function handleReviewGrade(replyToken, user, grade, id) {
+  if (REVIEW_GRADES[grade] === undefined) {
+    return replyReviewQuestion(replyToken, user);
+  }
 
-  const updated = await updateUser(user.line_user_id, {
-    tone_default: tone,
-  });
+  const card = await getVocabulary(user.line_user_id, id);
+  const now = clock.now();
+  let feedback = '';
 
-  const textReply =
-    `🎨 文体を「${toneLabel(updated.tone_default)}」にしました。\n\n` +
-    buildSettingsSummary(updated);
+  if (card) {
+    const patch = scheduleNextReview(card, grade, now);
+    await updateVocabulary(user.line_user_id, card.id, patch);
+    feedback = `「${card.term}」は ${patch.interval_days} 日後にまた出します。\n\n`;
+  }
 
-  const message = {
-    type: 'text',
-    text: textReply,
-    quickReply: { items: homeQuickReplyItems() },
-  };
-  return lineClient.replyMessage(replyToken, message);
+  // そのまま次の単語へ
+  const [next] = await listDueVocabulary(user.line_user_id, now);
+  if (!next) {
+    return lineClient.replyMessage(replyToken, reviewDoneMessage(feedback));
+  }
+
+  const remaining = await countDueVocabulary(user.line_user_id, now);
+  const question = reviewQuestionMessage(next, remaining);
+  question.text = feedback + question.text;
+  return lineClient.replyMessage(replyToken, question);
 }
 
-// -- トーン変更 --
+// 定期実行（Cloud Scheduler など）から呼ばれる。
+// users.last_review_push_at を見て、1ユーザーにつき1日1回まで
+const REVIEW_PUSH_INTERVAL_MS = 20 * 60 * 60 * 1000;
 
-async function handleToneChange(replyToken, user, toneLabelJa) {
-  if (!user.last_source_ja) {
-    return lineClient.replyMessage(replyToken, {
+async function pushReviewReminders(now) {
+  const dueCounts = await listUsersWithDueVocabulary(now);
+  let pushed = 0;
+
+  for (const [lineUserId, count] of dueCounts) {
+    const user = await repo.findUser(lineUserId);
+    if (!user || user.is_active === false) {
+      continue;
+    }
+    const last = user.last_review_push_at ? new Date(user.last_review_push_at) : null;
+    if (last && now.getTime() - last.getTime() < REVIEW_PUSH_INTERVAL_MS) {
+      continue;
+    }
+
+    try {
+      await lineClient.pushMessage(lineUserId, {
+        type: 'text',
+        text:
+          `🔁 復習の時間です。\n単語帳に、復習どきの単語が ${count} 語あります。\n` +
+          '「復習」を押すと、1語ずつクイズで確認できます。',
+        quickReply: { items: [reviewButton(), homeButton()] },
+      });
+      await updateUser(lineUserId, { last_review_push_at: now.toISOString() });
+      pushed += 1;
+    } catch (e) {
+      reportError('Review reminder push error', e, lineUserId);
+    }
+  }
+
+  return { users: dueCounts.size, pushed };
+}
+
+// -- 画像 --
+
+async function handleImageMessage(event, user, options = {}) {
+  let extracted = '';
+  try {
+    const { buffer, mimeType } = await downloadMessageContent(event.message);
+    // 画像と判断できない Content-Type なら、プロバイダの既定（JPEG）に任せる
+    const imageType = mimeType && mimeType.startsWith('image/') ? mimeType : undefined;
+    extracted = (await ocrProvider.extractText(buffer, { mimeType: imageType, user })).trim();
+  } catch (e) {
+    reportError('Image OCR error', e);
+    return lineClient.replyMessage(event.replyToken, {
       type: 'text',
-      text: 'まず日本語の文を送って英文を作ってから、文体を変えてみてください。',
+      text: '画像の読み取りに失敗しました。\nもう一度送るか、文字をそのまま送ってみてください。',
       quickReply: { items: baseQuickReplyItems(false) },
     });
   }
 
-  let toneOverride = user.tone_default;
-  let toneForMessage = 'カジュアル';
-  if (toneLabelJa.includes('カジュアル')) {
-    toneOverride = 'casual';
-    toneForMessage = 'カジュアル';
-  }
-  if (toneLabelJa.includes('丁寧')) {
-    toneOverride = 'polite';
-    toneForMessage = '丁寧';
+  if (!extracted) {
+    return lineClient.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '画像から文字を読み取れませんでした。\n文字がはっきり写っている画像で試してみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
   }
-  if (toneLabelJa.includes('ビジネス')) {
-    toneOverride = 'business';
-    toneForMessage = 'ビジネス';
+
+  return routeByLanguage(extracted, event.replyToken, user, {
+    ...options,
+    sourceNote: `📷 画像から読み取った文字：\n${extracted}`,
+  });
+}
+
+// -- 音声 --
+
+async function handleAudioMessage(event, user, options = {}) {
+  let transcript = '';
+  try {
+    const { buffer } = await downloadMessageContent(event.message);
+    // LINE の音声メッセージは m4a
+    transcript = (await transcriber.transcribe(buffer, { fileName: 'audio.m4a' })).trim();
+  } catch (e) {
+    reportError('Audio transcription error', e);
+    return lineClient.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '音声の聞き取りに失敗しました。\nもう一度送るか、文字で送ってみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
   }
 
-  const previousEn = user.last_output_en || '';
+  if (!transcript) {
+    return lineClient.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '音声をうまく聞き取れませんでした。\n静かな場所で、少しゆっくり話してみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
 
-  const en = await generateEnglishFromJapanese({
-    user,
-    sourceText: user.last_source_ja,
-    toneOverride,
+  return routeByLanguage(transcript, event.replyToken, user, {
+    ...options,
+    sourceNote: `🎤 聞き取った内容：\n${transcript}`,
   });
+}
+
+// -- 日本語 → 英語（翻訳先の言語） --
+// 直前の翻訳は users に残して、トーン変更・別の言い方・読み上げで使う：
+//   last_source_ja, last_target_language, last_mode ('JA_TO_EN' | 'EN_TO_JA' | 'EMAIL' | 'EMAIL_REPLY'),
+//   last_output_en（直前に作った文。英語とは限らず、翻訳先の言語の文や、メール・返信なら本文全体が入る。
+//   列名は英訳しかなかった頃のまま）
 
-  let textToSend = en;
-  if (previousEn && previousEn.trim() === en.trim()) {
-    textToSend =
-      en +
-      `\n\n（💬 この文は文体を変えてもほぼ同じ表現になるので、${toneForMessage}でもこのまま使えます。）`;
+// options.targetLanguage があれば、設定の翻訳先ではなくその言語にする（「韓国語にして」）
+async function handleJaToEn(text, replyToken, user, options = {}) {
+  const language = options.targetLanguage || languageOrEnglish(user.target_language);
+  if (isEmailScene(user)) {
+    return handleComposeEmail(text, replyToken, user, { ...options, targetLanguage: language });
   }
 
+  const output = await generateTranslationFromJapanese({
+    user,
+    sourceText: text,
+    toneOverride: null,
+    targetLanguage: language,
+  });
+
+  // last_target_language はトーン変更・別の言い方で同じ言語のまま作り直すため
   const updated = await updateUser(user.line_user_id, {
-    last_output_en: en,
+    last_source_ja: text,
+    last_output_en: output,
+    last_target_language: language,
     last_mode: 'JA_TO_EN',
   });
 
-  const message = {
-    type: 'text',
-    text: textToSend,
-    quickReply: { items: toneQuickReplyItems() },
+  await saveHistorySafely(user, {
+    direction: 'JA_TO_EN',
+    language,
+    sourceText: text,
+    outputText: output,
+  });
+
+  const message = jaToTargetMessage({
+    user: updated,
+    sourceText: text,
+    output: updated.last_output_en || output,
+    language,
+    quickReply: { items: toneQuickReplyItems(undefined, language) },
+  });
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
+}
+
+// -- 日本語 → メール --
+// users のメール用カラム（署名・宛名に出したい書き方のまま保存する。例: Taro Yamada / Sales Manager）：
+//   email_sender_name, email_sender_title, email_company, email_recipient_name
+
+const EMAIL_PROFILE_FIELDS = {
+  差出人: 'email_sender_name',
+  肩書き: 'email_sender_title',
+  会社名: 'email_company',
+  宛名: 'email_recipient_name',
+};
+const EMAIL_PROFILE_MAX_LENGTH = 100;
+
+function buildEmailSignature(user) {
+  return [user.email_sender_name, user.email_sender_title, user.email_company]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// 件名以外（書き出し・本文・結び・署名）をそのまま貼れる 1 つの文にする
+// 結びのないもの（チャットへの返信など）には署名も付けない
+function buildEmailBody(user, email) {
+  const closing = email.closing
+    ? [email.closing, buildEmailSignature(user)].filter(Boolean).join('\n')
+    : '';
+  return [email.greeting, email.body, closing].filter(Boolean).join('\n\n');
+}
+
+// 件名と本文は別々のメッセージにして、それぞれ長押しでコピーできるようにする
+// options.tone / rephrase / usageFeature はトーン変更・別の言い方から
+async function handleComposeEmail(text, replyToken, user, options = {}) {
+  const language = options.targetLanguage || languageOrEnglish(user.target_language);
+  const tone = options.tone || user.tone_default;
+
+  const email = await generateEmailFromJapanese({
+    user,
+    sourceText: text,
+    toneOverride: tone,
+    targetLanguage: language,
+    usageFeature: options.usageFeature,
+    rephrase: options.rephrase,
+  });
+  const body = buildEmailBody(user, email);
+
+  await updateUser(user.line_user_id, {
+    last_source_ja: text,
+    last_output_en: body,
+    last_target_language: language,
+    last_mode: 'EMAIL',
+  });
+
+  await saveHistorySafely(user, {
+    direction: 'JA_TO_EN',
+    mode: 'EMAIL',
+    language,
+    sourceText: text,
+    outputText: body,
+    subject: email.subject,
+    tone,
+  });
+
+  const toneText = TONE_SHORT_LABELS[tone] || '丁寧';
+  const lead = `✉️ ${usageSceneLabel(user.usage_default)}の形にしました（${toneText}）。`;
+  const messages = emailMessages(user, { lead, email, body, tone });
+  return lineClient.replyMessage(replyToken, withNotes(messages, options));
+}
+
+// 案内・件名・本文（件名がなければ案内と本文）のメッセージ
+function emailMessages(user, { lead, email, body, tone }) {
+  let intro = email.subject
+    ? `${lead}\n件名と本文を分けて送るので、それぞれ長押しでコピーして使ってください。`
+    : lead;
+  if (email.closing && !user.email_sender_name) {
+    intro += '\n\n署名に名前を入れるなら「差出人:Taro Yamada」のように送ってください。';
+  }
+
+  const messages = [{ type: 'text', text: intro }];
+  if (email.subject) {
+    messages.push({ type: 'text', text: email.subject });
+  }
+  messages.push({ type: 'text', text: body, quickReply: { items: emailQuickReplyItems(tone) } });
+  return messages;
+}
+
+// 「差出人:Taro Yamada」→ { column, value }（値が空なら消す）
+function parseEmailProfileCommand(text) {
+  const match = text.match(/^(差出人|肩書き|会社名|宛名)[:：]\s*([\s\S]*)$/);
+  if (!match) return null;
+  return {
+    column: EMAIL_PROFILE_FIELDS[match[1]],
+    value: match[2].trim().slice(0, EMAIL_PROFILE_MAX_LENGTH),
   };
-  return lineClient.replyMessage(replyToken, message);
 }
 
-// -- 「この英文でOK」 --
+async function replyEmailProfile(replyToken, user, leadText = '') {
+  const profile = Object.entries(EMAIL_PROFILE_FIELDS)
+    .map(([label, column]) => `・${label}：${user[column] || '（未設定）'}`)
+    .join('\n');
 
-async function handleAcceptCurrentEnglish(replyToken, user) {
-  const en = user.last_output_en;
-  if (!en) {
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text:
+      leadText +
+      '✉️ メールの設定\n\n' +
+      '用途が「社内メール」「社外メール」のときは、日本語を送ると件名・あいさつ・本文・結びのそろったメールにします。\n' +
+      '署名と宛名には次の内容を使います：\n' +
+      profile +
+      '\n\n変えるときは「差出人:Taro Yamada」「肩書き:Sales Manager」「会社名:ABC Inc.」「宛名:Mr. Smith」のように送ってください。\n' +
+      '（「宛名:」だけ送ると消せます）',
+    quickReply: {
+      items: [
+        postbackItem('📮 用途', { action: 'menu', name: 'usage' }, '用途を設定'),
+        ...baseQuickReplyItems(false),
+      ],
+    },
+  });
+}
+
+async function handleSetEmailProfile(replyToken, user, { column, value }) {
+  const updated = await updateUser(user.line_user_id, { [column]: value || null });
+  return replyEmailProfile(replyToken, updated, '✅ 保存しました。\n\n');
+}
+
+// -- 受け取ったメールへの返信 --
+// 和訳のあとの「↩️ 返信を作る」→ 次に送られた日本語から、last_source_en への返信を作る
+// users.pending_reply_at（返信の内容を待ちはじめた時刻）、last_source_language（last_source_en の言語）
+
+const REPLY_DRAFT_TTL_MS = 30 * 60 * 1000;
+
+function isAwaitingReplyDraft(user, now) {
+  if (!user.pending_reply_at || !user.last_source_en) return false;
+  return now.getTime() - new Date(user.pending_reply_at).getTime() < REPLY_DRAFT_TTL_MS;
+}
+
+async function handleStartReplyDraft(replyToken, user) {
+  if (!user.last_source_en) {
     return lineClient.replyMessage(replyToken, {
       type: 'text',
-      text: 'まず日本語の文を送って、英文を作ってから選んでください。',
+      text: 'まず受け取ったメールの文を送って、和訳してから返信を作ってください。',
       quickReply: { items: baseQuickReplyItems(false) },
     });
   }
 
-  let lessonText = '';
-  try {
-    lessonText = await generateOnePointLesson(en);
-  } catch (e) {
-    console.error('One-point lesson error:', e);
-  }
+  await updateUser(user.line_user_id, { pending_reply_at: clock.now().toISOString() });
 
-  const message = {
+  return lineClient.replyMessage(replyToken, {
     type: 'text',
     text:
-      lessonText
-        ? '✨ よりネイティブに近づけた表現なら、たとえば\n------------------------------\n' +
-          lessonText
-        : 'ネイティブ寄りの別案の生成に失敗しましたが、英文自体はそのまま使って大丈夫です。',
-    quickReply: { items: baseQuickReplyItems(true) },
-  };
+      '↩️ 返信を作ります。\n' +
+      '返信で伝えたいことを、日本語でそのまま送ってください。\n' +
+      '例）来週の火曜なら大丈夫です。資料は金曜までに送ります。\n\n' +
+      `返信先：${truncateForList(user.last_source_en, 60)}`,
+    quickReply: {
+      items: [
+        postbackItem('やめる', { action: 'reply_cancel' }, '返信を作るのをやめる'),
+        ...baseQuickReplyItems(false),
+      ],
+    },
+  });
+}
 
-  return lineClient.replyMessage(replyToken, message);
+async function handleCancelReplyDraft(replyToken, user) {
+  await updateUser(user.line_user_id, { pending_reply_at: null });
+  return lineClient.replyMessage(replyToken, {
+    type: 'text',
+    text: '返信を作るのをやめました。日本語を送ると、いつもどおり翻訳します。',
+    quickReply: { items: baseQuickReplyItems(false) },
+  });
 }
 
-// -- 日本語 → 英語 --
+// 元のメールの言語で返信を作る。options.tone / rephrase / usageFeature はトーン変更・別の言い方から
+async function handleDraftReply(text, replyToken, user, options = {}) {
+  const language = languageOrEnglish(user.last_source_language);
+  const tone = options.tone || user.tone_default;
 
-async function handleJaToEn(text, replyToken, user, options = {}) {
-  const en = await generateEnglishFromJapanese({
+  const email = await generateEmailReply({
     user,
+    originalText: user.last_source_en,
     sourceText: text,
-    toneOverride: null,
+    toneOverride: tone,
+    language,
+    usageFeature: options.usageFeature,
+    rephrase: options.rephrase,
   });
+  const body = buildEmailBody(user, email);
 
-  const updated = await updateUser(user.line_user_id, {
+  // 待ちは 1 回で終わり。続けて送った日本語はいつもどおり翻訳する
+  await updateUser(user.line_user_id, {
     last_source_ja: text,
-    last_output_en: en,
-    last_mode: 'JA_TO_EN',
+    last_output_en: body,
+    last_target_language: language,
+    last_mode: 'EMAIL_REPLY',
+    pending_reply_at: null,
   });
 
-  const message = {
-    type: 'text',
-    text: updated.last_output_en || en,
-    quickReply: { items: toneQuickReplyItems() },
-  };
-  return lineClient.replyMessage(replyToken, message);
+  await saveHistorySafely(user, {
+    direction: 'JA_TO_EN',
+    mode: 'EMAIL_REPLY',
+    language,
+    sourceText: text,
+    outputText: body,
+    subject: email.subject,
+    replyToText: user.last_source_en,
+    tone,
+  });
+
+  const toneText = TONE_SHORT_LABELS[tone] || '丁寧';
+  const lead = `↩️ 返信を作りました（${toneText}。かたさは元のメールに合わせています）。`;
+  const messages = emailMessages(user, { lead, email, body, tone });
+  return lineClient.replyMessage(replyToken, withNotes(messages, options));
 }
 
 // -- 英語 → 日本語（和訳＋語彙解説） --
 
-async function handleEnToJa(text, replyToken, user, options = {}) {
-  const { ja, glossary } = await explainEnglishToJapaneseWithGlossary({
-    user,
-    sourceText: text,
-  });
-
+// 和訳＋語彙解説の表示テキスト（履歴の再表示でも使う）
+function buildEnToJaText(ja, glossary) {
   let resultText = ja;
 
   if (glossary && glossary.length > 0) {
@@ -1422,53 +5769,258 @@ async function handleEnToJa(text, replyToken, user, options = {}) {
     });
   }
 
+  return resultText;
+}
+
+// options.sourceLanguage は英語以外の外国語のとき（中国語・韓国語など）
+async function handleEnToJa(text, replyToken, user, options = {}) {
+  const language = options.sourceLanguage || 'en';
+  const { ja, glossary } = await explainEnglishToJapaneseWithGlossary({
+    user,
+    sourceText: text,
+    sourceLanguage: language,
+  });
+
+  // 新しい文を訳したら、前の文への「返信を作る」の待ちは取り消す
   await updateUser(user.line_user_id, {
     last_source_en: text,
+    last_source_language: language,
     last_output_ja: ja,
     last_mode: 'EN_TO_JA',
+    pending_reply_at: null,
   });
 
-  const message = {
-    type: 'text',
-    text: resultText,
-    quickReply: { items: baseQuickReplyItems(false) },
-  };
+  const history = await saveHistorySafely(user, {
+    direction: 'EN_TO_JA',
+    language,
+    sourceText: text,
+    outputText: ja,
+    glossary,
+  });
 
-  return lineClient.replyMessage(replyToken, message);
+  await saveVocabularySafely(user, glossary, {
+    sourceText: text,
+    language,
+    translationId: history && history.id,
+  });
+
+  const quickItems = [replyDraftButton(), ...baseQuickReplyItems(false)];
+  if (glossary && glossary.some((g) => g && g.term)) {
+    quickItems.splice(1, 0, vocabularyButton());
+  }
+
+  const message = enToJaMessage({
+    user,
+    sourceText: text,
+    ja,
+    glossary,
+    translationId: history && history.id,
+    language,
+    quickReply: { items: quickItems },
+  });
+
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
 }
 
 // -- 日本語＋英語混在 --
 
-async function handleMixed(text, replyToken) {
+// 元の文は postback の data に入れず users.pending_mixed_text に置いておく（data は 300 文字まで）
+// 「英訳してほしい」は翻訳先の言語にする（postback の to: 'en' は前からの値のまま）
+async function handleMixed(text, replyToken, user, options = {}) {
+  await updateUser(user.line_user_id, { pending_mixed_text: text });
+
+  const label = translationLabel(languageOrEnglish(user.target_language));
   const message = {
     type: 'text',
     text:
       '日本語と英語がいっしょに入っているみたいです。\n' +
-      'この文を「英訳」か「和訳」か、どちらで扱うか選んでください。',
+      `この文を「${label}」か「和訳」か、どちらで扱うか選んでください。`,
     quickReply: {
       items: [
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '英訳してほしい',
-            text: `TRANSLATE_TO_EN:::${text}`,
-          },
-        },
-        {
-          type: 'action',
-          action: {
-            type: 'message',
-            label: '和訳してほしい',
-            text: `TRANSLATE_TO_JA:::${text}`,
-          },
-        },
+        postbackItem(`${label}してほしい`, { action: 'translate_mixed', to: 'en' }),
+        postbackItem('和訳してほしい', { action: 'translate_mixed', to: 'ja' }),
         ...baseQuickReplyItems(true),
       ],
     },
   };
 
-  return lineClient.replyMessage(replyToken, message);
+  return lineClient.replyMessage(replyToken, withNotes(message, options));
+}
+
+async function handleMixedChoice(replyToken, user, to, options = {}) {
+  const original = user.pending_mixed_text;
+  if (!original) {
+    return lineClient.replyMessage(replyToken, {
+      type: 'text',
+      text: '翻訳する文が見つかりませんでした。もう一度送ってみてください。',
+      quickReply: { items: baseQuickReplyItems(false) },
+    });
+  }
+
+  // 上限に達していたら文は残しておく。選んだら消す（あとから古いボタンを押されても前の文を訳し直さない）
+  await chargeQuota(options);
+  await updateUser(user.line_user_id, { pending_mixed_text: null });
+
+  if (to === 'ja') {
+    return handleEnToJa(original, replyToken, user, { ...options, force: 'ja' });
+  }
+  return handleJaToEn(original, replyToken, user, { ...options, force: 'en' });
+}
+
+// ---------- ジョブキュー ----------
+// Webhook はすぐに 200 を返し、イベントの処理はキューに任せる（LINE 側のタイムアウト・再送を避ける）
+// キューは { name, enqueue(job) => Promise, drain() => Promise（空になるまで待つ） } の形
+//   memory: プロセス内で JOB_CONCURRENCY 件ずつ処理する（既定）
+//   inline: enqueue の中でそのまま処理する（レスポンス後に CPU が止まるサーバーレス環境向け）
+// job.key が同じジョブ（同じトーク）は入れた順に 1 件ずつ、違うジョブは並行して処理する
+
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 4;
+
+// 処理がこれより長引いたら 1:1 のトークにローディング表示を出す（0 なら待たずに出す）
+const LOADING_DELAY_MS = process.env.LOADING_DELAY_MS ? Number(process.env.LOADING_DELAY_MS) : 1500;
+const LOADING_SECONDS = 20;
+
+function createMemoryJobQueue(worker, concurrency = JOB_CONCURRENCY) {
+  const pending = [];
+  const idleWaiters = [];
+  const activeKeys = new Set();
+  let running = 0;
+
+  function settleIfIdle() {
+    if (running === 0 && pending.length === 0) {
+      idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  function next() {
+    while (running < concurrency) {
+      // 同じ key のジョブが処理中なら、それより後ろに並んでいる別の key のジョブを先に回す
+      const index = pending.findIndex((job) => !activeKeys.has(job.key));
+      if (index === -1) return;
+      const [job] = pending.splice(index, 1);
+      activeKeys.add(job.key);
+      running += 1;
+      Promise.resolve()
+        .then(() => worker(job))
+        .catch((err) => reportError('Job error', err))
+        .finally(() => {
+          activeKeys.delete(job.key);
+          running -= 1;
+          next();
+          settleIfIdle();
+        });
+    }
+  }
+
+  return {
+    name: 'memory',
+    async enqueue(job) {
+      pending.push(job);
+      next();
+    },
+    drain() {
+      return new Promise((resolve) => {
+        idleWaiters.push(resolve);
+        settleIfIdle();
+      });
+    },
+  };
+}
+
+function createInlineJobQueue(worker) {
+  // key ごとに最後のジョブの Promise を持ち、次のジョブはその後ろにつなぐ
+  const tails = new Map();
+
+  return {
+    name: 'inline',
+    async enqueue(job) {
+      const previous = tails.get(job.key) || Promise.resolve();
+      const current = previous
+        .then(() => worker(job))
+        .catch((err) => reportError('Job error', err));
+      tails.set(job.key, current);
+      await current;
+      if (tails.get(job.key) === current) {
+        tails.delete(job.key);
+      }
+    },
+    async drain() {},
+  };
+}
+
+function createJobQueue(name, worker) {
+  switch (name) {
+    case 'inline':
+      return createInlineJobQueue(worker);
+    case 'memory':
+    default:
+      return createMemoryJobQueue(worker);
+  }
+}
+
+function chatIdOf(source) {
+  return source.groupId || source.roomId || source.userId;
+}
+
+async function showLoadingSafely(chatId) {
+  try {
+    await lineClient.showLoadingAnimation(chatId, LOADING_SECONDS);
+  } catch (e) {
+    reportError('Loading animation error', e);
+  }
+}
+
+// 1 イベント分の処理。返信トークンの受信時刻を覚えておき、長引いたらローディングを出す
+async function runEventJob({ event, receivedAt }) {
+  if (event.replyToken) {
+    replyContexts.set(event.replyToken, { to: chatIdOf(event.source), receivedAt });
+  }
+
+  // ローディング表示は 1:1 のトークでしか使えない
+  let loadingTimer = null;
+  if (event.source.type === 'user' && event.source.userId && event.replyToken) {
+    if (LOADING_DELAY_MS === 0) {
+      await showLoadingSafely(event.source.userId);
+    } else {
+      loadingTimer = setTimeout(() => showLoadingSafely(event.source.userId), LOADING_DELAY_MS);
+    }
+  }
+
+  try {
+    await handleEvent(event);
+  } finally {
+    clearTimeout(loadingTimer);
+    replyContexts.delete(event.replyToken);
+  }
+}
+
+const jobQueue = createJobQueue(process.env.JOB_QUEUE || 'memory', runEventJob);
+
+// ---------- 受け取ったイベントの重複排除 ----------
+// LINE は応答が遅い・失敗したときに同じイベントを送り直す（deliveryContext.isRedelivery が true）
+// webhookEventId を processed_events に記録し、2 回目以降は処理しない（翻訳の二重課金を防ぐ）
+// processed_events テーブル：
+//   webhook_event_id (PRIMARY KEY), is_redelivery, received_at
+//   ※ 再送は最大でも数日以内なので、古い行の掃除は DB 側で
+
+// 記録できないときは取りこぼすより二重に処理するほうを選ぶ
+async function claimEventSafely(event, receivedAt) {
+  if (!event.webhookEventId) return true;
+  try {
+    return await repo.claimWebhookEvent({
+      webhook_event_id: event.webhookEventId,
+      is_redelivery: Boolean(event.deliveryContext && event.deliveryContext.isRedelivery),
+      received_at: new Date(receivedAt).toISOString(),
+    });
+  } catch (e) {
+    reportError('Claim webhook event error', e, { webhookEventId: event.webhookEventId });
+    return true;
+  }
+}
+
+// 1 回の Webhook の中でも送られた順とは限らないので、発生時刻の順に並べ直す
+function sortByTimestamp(events) {
+  return [...events].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
 }
 
 // ---------- Webhook エンドポイント ----------
@@ -1480,17 +6032,606 @@ app.post('/webhook', middleware(lineConfig), async (req, res) => {
   }
 
   try {
-    await Promise.all(events.map(handleEvent));
+    const receivedAt = Date.now();
+    const fresh = [];
+    for (const event of sortByTimestamp(events)) {
+      if (await claimEventSafely(event, receivedAt)) {
+        fresh.push(event);
+      }
+    }
+    // 同じトークのイベントは並べた順に 1 件ずつ処理される（updateUser の上書き合いを防ぐ）
+    await Promise.all(
+      fresh.map((event) => jobQueue.enqueue({ key: chatIdOf(event.source), event, receivedAt }))
+    );
     res.status(200).end();
   } catch (err) {
-    console.error('Error handling events:', err);
+    reportError('Error enqueuing events', err);
     res.status(500).end();
   }
 });
 
-// ---------- サーバー起動 ----------
+// ---------- 読み上げ音声の配信 ----------
+
+// キャッシュにない音声は、tts_sources に残した文と声から作り直す
+app.get('/tts/:key.mp3', async (req, res) => {
+  try {
+    let entry = ttsCache.get(req.params.key);
+    if (!entry) {
+      const source = await repo.findTtsSource(req.params.key);
+      if (!source) {
+        return res.status(404).end();
+      }
+      entry = await getOrSynthesizeSpeech(source.text, source.voice);
+    }
+    res.set('Content-Type', 'audio/mpeg');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(entry.audio);
+  } catch (err) {
+    reportError('Error serving TTS audio', err);
+    res.status(500).end();
+  }
+});
+
+// ---------- 定期実行エンドポイント ----------
+
+app.post('/cron/review-reminders', async (req, res) => {
+  if (!process.env.CRON_SECRET || req.get('x-cron-secret') !== process.env.CRON_SECRET) {
+    return res.status(401).end();
+  }
+
+  try {
+    const result = await pushReviewReminders(clock.now());
+    res.status(200).json(result);
+  } catch (err) {
+    reportError('Error pushing review reminders', err);
+    res.status(500).end();
+  }
+});
+
+// ---------- 管理用 ----------
+// サポート対応用。ユーザーの設定の確認・変更、利用状況、直近のエラーを見る
+// JSON の API（/admin/...）と、同じ関数を使った簡単な HTML の画面（/admin）がある
+
+const ADMIN_PAGE_SIZE = 20;
+
+// 管理画面から変更できる項目と、取りうる値（level_value は level_type ごとに別）
+const EIKEN_LEVELS = ['5', '4', '3', 'pre2', '2', 'pre1', '1'];
+const TOEIC_BANDS = ['under400', '400_600', '600_800', 'over800'];
+const ADMIN_EDITABLE_VALUES = {
+  level_type: ['eiken', 'toeic'],
+  usage_default: ['CHAT_FRIEND', 'MAIL_INTERNAL', 'MAIL_EXTERNAL'],
+  tone_default: ['casual', 'polite', 'business'],
+  english_style: ['japanese', 'neutral', 'american', 'british'],
+  target_language: Object.keys(LANGUAGES),
+  plan: Object.keys(PLAN_LIMITS),
+};
+
+// 送られてきた値を検証して users に書ける patch にする（空欄は変更なし）
+function buildAdminUserPatch(user, body) {
+  const patch = {};
+  for (const [field, allowed] of Object.entries(ADMIN_EDITABLE_VALUES)) {
+    if (body[field] === undefined || body[field] === '') continue;
+    if (!allowed.includes(body[field])) {
+      return { error: `${field} must be one of ${allowed.join(', ')}` };
+    }
+    patch[field] = body[field];
+  }
+
+  const levelType = patch.level_type || user.level_type;
+  if (body.level_value !== undefined && body.level_value !== '') {
+    const allowed = levelType === 'toeic' ? TOEIC_BANDS : EIKEN_LEVELS;
+    if (!allowed.includes(body.level_value)) {
+      return { error: `level_value must be one of ${allowed.join(', ')} for ${levelType}` };
+    }
+    patch.level_value = body.level_value;
+  } else if (patch.level_type && patch.level_type !== user.level_type) {
+    return { error: 'level_value is required when changing level_type' };
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return { error: 'nothing to update' };
+  }
+  return { patch };
+}
+
+async function listUsersForAdmin({ page = 1, keyword = '' } = {}) {
+  const rows = await repo.listUsers({
+    offset: (page - 1) * ADMIN_PAGE_SIZE,
+    limit: ADMIN_PAGE_SIZE + 1,
+    keyword,
+  });
+  return {
+    users: rows.slice(0, ADMIN_PAGE_SIZE),
+    hasNext: rows.length > ADMIN_PAGE_SIZE,
+  };
+}
+
+// 「英語が堅すぎる」などの問い合わせに、ユーザーが見ている設定の説明と直近の翻訳で答えられるように
+async function getUserForAdmin(lineUserId) {
+  const user = await repo.findUser(lineUserId);
+  if (!user) return null;
+
+  const { entries } = await listTranslations(lineUserId, 1);
+  return {
+    user,
+    settingsSummary: buildSettingsSummary(user),
+    recentTranslations: entries,
+  };
+}
+
+// 日本時間の日ごとに、翻訳したユーザー数（DAU）と向きごとの翻訳数。古い日から順に並べる
+async function dailyStats({ days, now }) {
+  const rows = await repo.listTranslationsBetween({
+    since: new Date(now.getTime() - days * DAY_MS),
+    until: now,
+  });
+
+  const byDay = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const date = tokyoDateKey(new Date(now.getTime() - i * DAY_MS));
+    byDay.set(date, { date, users: new Set(), JA_TO_EN: 0, EN_TO_JA: 0 });
+  }
+
+  rows.forEach((row) => {
+    const day = byDay.get(tokyoDateKey(new Date(row.created_at)));
+    if (!day) return;
+    day.users.add(row.line_user_id);
+    if (row.direction in day) day[row.direction] += 1;
+  });
+
+  return [...byDay.values()].map(({ users, ...day }) => ({
+    ...day,
+    active_users: users.size,
+  }));
+}
+
+// -- 管理画面（HTML） --
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function adminLayout(title, body) {
+  return `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - YourTranslator 管理</title>
+<style>
+  body { font-family: sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  pre { white-space: pre-wrap; background: #f8f8f8; padding: 8px; }
+  .notice { color: #0a7d2c; }
+  .error { color: #c0392b; }
+</style>
+</head>
+<body>
+<p><a href="/admin">管理トップ</a></p>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+const ADMIN_NOT_FOUND_PAGE = adminLayout('見つかりません', '<p>ユーザーが見つかりませんでした。</p>');
+const ADMIN_FORBIDDEN_PAGE = adminLayout(
+  '保存できません',
+  '<p>管理画面以外から送られたフォームなので保存しませんでした。ページを開き直してください。</p>'
+);
+
+function renderAdminHome({ keyword, users, hasNext, page, stats, spend, errors }) {
+  const userRows = users
+    .map(
+      (u) => `<tr>
+  <td><a href="/admin/view/users/${encodeURIComponent(u.line_user_id)}">${escapeHtml(u.line_user_id)}</a></td>
+  <td>${escapeHtml(u.plan || 'free')}</td>
+  <td>${escapeHtml(levelLabel(u))}</td>
+  <td>${escapeHtml(usageShortLabel(u.usage_default))}</td>
+  <td>${escapeHtml(toneLabel(u.tone_default))}</td>
+  <td>${u.is_active === false ? 'ブロック中' : ''}</td>
+</tr>`
+    )
+    .join('\n');
+
+  const statRows = stats
+    .map(
+      (d) =>
+        `<tr><td>${d.date}</td><td>${d.active_users}</td><td>${d.JA_TO_EN}</td><td>${d.EN_TO_JA}</td></tr>`
+    )
+    .join('\n');
+
+  const spendRows = spend
+    .map(
+      (g) =>
+        `<tr><td>${escapeHtml(g.key)}</td><td>${g.calls}</td><td>${g.errors}</td><td>${g.total_tokens}</td><td>$${g.cost_usd}</td></tr>`
+    )
+    .join('\n');
+
+  const errorRows = errors
+    .map(
+      (e) =>
+        `<tr><td>${escapeHtml(formatHistoryDate(e.at))}</td><td>${escapeHtml(e.label)}</td><td>${escapeHtml(e.message)}</td></tr>`
+    )
+    .join('\n');
+
+  const query = keyword ? `&q=${encodeURIComponent(keyword)}` : '';
+  const pager = [
+    page > 1 ? `<a href="/admin?page=${page - 1}${query}">← 前へ</a>` : '',
+    hasNext ? `<a href="/admin?page=${page + 1}${query}">次へ →</a>` : '',
+  ].join(' ');
+
+  return adminLayout(
+    'ダッシュボード',
+    `<h2>ユーザー</h2>
+<form method="get" action="/admin">
+  <input name="q" value="${escapeHtml(keyword)}" placeholder="LINE ユーザー ID">
+  <button type="submit">検索</button>
+</form>
+<table>
+<tr><th>LINE ユーザー ID</th><th>プラン</th><th>レベル</th><th>用途</th><th>文体</th><th></th></tr>
+${userRows || '<tr><td colspan="6">見つかりませんでした</td></tr>'}
+</table>
+<p>${pager}</p>
+
+<h2>日ごとの利用（直近${stats.length}日）</h2>
+<table>
+<tr><th>日付</th><th>翻訳したユーザー</th><th>英訳</th><th>和訳</th></tr>
+${statRows}
+</table>
+
+<h2>AI 利用料（直近30日・機能別）</h2>
+<table>
+<tr><th>機能</th><th>呼び出し</th><th>失敗</th><th>トークン</th><th>概算費用</th></tr>
+${spendRows || '<tr><td colspan="5">まだありません</td></tr>'}
+</table>
+
+<h2>直近のエラー</h2>
+<table>
+<tr><th>日時</th><th>どこで</th><th>内容</th></tr>
+${errorRows || '<tr><td colspan="3">ありません</td></tr>'}
+</table>`
+  );
+}
+
+// 空欄（変更しない）から始まるセレクトボックスの 1 行
+function adminFieldRow(name, values, current) {
+  const options = ['', ...values]
+    .map((v) => `<option value="${escapeHtml(v)}">${escapeHtml(v || '（変更しない）')}</option>`)
+    .join('');
+  return `<tr><th>${name}</th><td><select name="${name}">${options}</select>（いま: ${escapeHtml(current)}）</td></tr>`;
+}
+
+function renderAdminUser({ user, settingsSummary, recentTranslations }, { notice, error } = {}) {
+  const translationRows = recentTranslations
+    .map(
+      (t) => `<tr>
+  <td>${escapeHtml(formatHistoryDate(t.created_at))}</td>
+  <td>${escapeHtml(t.direction)}</td>
+  <td>${escapeHtml(toneLabel(t.tone))}</td>
+  <td>${escapeHtml(t.source_text)}</td>
+  <td>${escapeHtml(t.subject ? `件名：${t.subject}\n\n${t.output_text}` : t.output_text)}</td>
+</tr>`
+    )
+    .join('\n');
+
+  const fieldRows = [
+    adminFieldRow('level_type', ADMIN_EDITABLE_VALUES.level_type, user.level_type),
+    adminFieldRow('level_value', [...EIKEN_LEVELS, ...TOEIC_BANDS], user.level_value),
+    ...['usage_default', 'tone_default', 'english_style', 'target_language', 'plan'].map(
+      (field) => adminFieldRow(field, ADMIN_EDITABLE_VALUES[field], user[field])
+    ),
+  ].join('\n');
+  const action = `/admin/view/users/${encodeURIComponent(user.line_user_id)}`;
+
+  return adminLayout(
+    user.line_user_id,
+    `${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<h2>ユーザーから見えている設定</h2>
+<pre>${escapeHtml(settingsSummary)}</pre>
+<table>
+<tr><th>プラン</th><td>${escapeHtml(user.plan || 'free')}</td></tr>
+<tr><th>今日の利用</th><td>${escapeHtml(user.usage_day || '-')} / ${user.usage_day_count || 0} 回</td></tr>
+<tr><th>今月の利用</th><td>${escapeHtml(user.usage_month || '-')} / ${user.usage_month_count || 0} 回</td></tr>
+<tr><th>追加回数</th><td>${user.bonus_quota || 0}（${escapeHtml(user.bonus_quota_expires_at || '-')} まで）</td></tr>
+<tr><th>はじめの設定</th><td>${escapeHtml(user.onboarding_state || '-')}</td></tr>
+<tr><th>登録日</th><td>${escapeHtml(formatHistoryDate(user.created_at))}</td></tr>
+</table>
+
+<h2>設定を変更</h2>
+<form method="post" action="${action}">
+<input type="hidden" name="csrf_token" value="${adminFormToken(user.line_user_id)}">
+<table>
+${fieldRows}
+</table>
+<button type="submit">保存</button>
+</form>
+
+<h2>直近の翻訳</h2>
+<table>
+<tr><th>日時</th><th>向き</th><th>文体</th><th>元の文</th><th>結果</th></tr>
+${translationRows || '<tr><td colspan="5">まだありません</td></tr>'}
+</table>`
+  );
+}
+
+// ---------- 管理用エンドポイント ----------
+// x-admin-secret ヘッダー、またはブラウザの Basic 認証（パスワードに ADMIN_SECRET）で入る
+// 更新は、API なら x-admin-secret ヘッダー付きの JSON、管理画面なら CSRF トークン付きのフォームだけ
+
+function adminSecretFrom(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return req.get('x-admin-secret');
+}
+
+// 一致するかどうか以外の手がかりを応答時間に出さないように比べる
+function secretsEqual(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_SECRET || !secretsEqual(adminSecretFrom(req), process.env.ADMIN_SECRET)) {
+    res.set('WWW-Authenticate', 'Basic realm="YourTranslator admin", charset="UTF-8"');
+    return res.status(401).end();
+  }
+  next();
+}
+
+// 管理画面フォームの CSRF トークン。Basic 認証はブラウザが勝手に付けるので、
+// 他サイトからのフォーム送信と区別するためにページに埋めておく。
+// ADMIN_SECRET とユーザー ID から作るのでサーバー側に状態は持たない
+function adminFormToken(lineUserId) {
+  return crypto
+    .createHmac('sha256', process.env.ADMIN_SECRET || '')
+    .update(`admin-form:${lineUserId}`)
+    .digest('hex');
+}
+
+// 画面を持たない更新系 API は、x-admin-secret ヘッダー付きの JSON だけを受け付ける。
+// どちらも他サイトのフォームからは送れないので、Basic 認証を使った CSRF を防げる
+function requireAdminApiRequest(req, res, next) {
+  if (!req.get('x-admin-secret') || !req.is('application/json')) {
+    return res
+      .status(403)
+      .json({ error: 'send JSON with the x-admin-secret header to change data through the API' });
+  }
+  next();
+}
+
+// ハンドラ内の例外は記録して 500 にする
+function adminHandler(label, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      reportError(label, err);
+      res.status(500).end();
+    }
+  };
+}
+
+// 期間指定（?since=&until=、ISO 8601）。省略時は直近 defaultDays 日
+function parseAdminPeriod(query, defaultDays) {
+  const until = query.until ? new Date(query.until) : clock.now();
+  const since = query.since
+    ? new Date(query.since)
+    : new Date(until.getTime() - defaultDays * DAY_MS);
+  if (isNaN(since.getTime()) || isNaN(until.getTime())) return null;
+  return { since, until };
+}
+
+const admin = express.Router();
+admin.use(requireAdmin);
+admin.use(express.json());
+admin.use(express.urlencoded({ extended: false }));
+
+// ユーザー一覧・検索 ?q=&page=
+admin.get(
+  '/users',
+  adminHandler('Error listing users', async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const result = await listUsersForAdmin({ page, keyword: req.query.q || '' });
+    res.status(200).json({ page, ...result });
+  })
+);
+
+admin.get(
+  '/users/:lineUserId',
+  adminHandler('Error loading user', async (req, res) => {
+    const detail = await getUserForAdmin(req.params.lineUserId);
+    if (!detail) {
+      return res.status(404).json({ error: 'user not found' });
+    }
+    res.status(200).json(detail);
+  })
+);
+
+// レベル・用途・文体などの変更 { level_type, level_value, usage_default, tone_default, english_style, plan }
+admin.patch(
+  '/users/:lineUserId',
+  requireAdminApiRequest,
+  adminHandler('Error updating user', async (req, res) => {
+    const user = await repo.findUser(req.params.lineUserId);
+    if (!user) {
+      return res.status(404).json({ error: 'user not found' });
+    }
+
+    const { patch, error } = buildAdminUserPatch(user, req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-const port = process.env.PORT || 8080;
-app.listen(port, () => {
-  console.log(`Server listening on ${port}`);
+    const updated = await updateUser(user.line_user_id, patch);
+    res.status(200).json({ user: updated, settingsSummary: buildSettingsSummary(updated) });
+  })
+);
+
+// 日ごとの DAU と翻訳数 ?days=14
+admin.get(
+  '/stats',
+  adminHandler('Error loading stats', async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+    res.status(200).json({ days: await dailyStats({ days, now: clock.now() }) });
+  })
+);
+
+admin.get('/errors', (req, res) => {
+  res.status(200).json({ errors: recentErrors });
 });
+
+// 一時的な追加回数の付与 { lineUserId, amount, days }
+admin.post(
+  '/quota-grants',
+  requireAdminApiRequest,
+  adminHandler('Error granting extra quota', async (req, res) => {
+    const { lineUserId } = req.body || {};
+    const amount = parseInt(req.body && req.body.amount, 10);
+    const rawDays = req.body && req.body.days;
+    const days = rawDays === undefined || rawDays === '' ? 7 : parseInt(rawDays, 10);
+    if (!lineUserId || !(amount > 0)) {
+      return res.status(400).json({ error: 'lineUserId and a positive amount are required' });
+    }
+    if (!(days > 0)) {
+      return res.status(400).json({ error: 'days must be a positive number' });
+    }
+
+    const updated = await grantExtraQuota(lineUserId, amount, days, clock.now());
+    if (!updated) {
+      return res.status(404).json({ error: 'user not found' });
+    }
+    res.status(200).json({
+      lineUserId,
+      bonusQuota: updated.bonus_quota,
+      expiresAt: updated.bonus_quota_expires_at,
+    });
+  })
+);
+
+// AI 利用量の集計 ?groupBy=feature|line_user_id|model|tone&since=&until=（既定は直近30日）
+admin.get(
+  '/usage',
+  adminHandler('Error summarizing AI usage', async (req, res) => {
+    const groupBy = req.query.groupBy || 'feature';
+    if (!AI_USAGE_GROUP_KEYS.includes(groupBy)) {
+      return res
+        .status(400)
+        .json({ error: `groupBy must be one of ${AI_USAGE_GROUP_KEYS.join(', ')}` });
+    }
+
+    const period = parseAdminPeriod(req.query, 30);
+    if (!period) {
+      return res.status(400).json({ error: 'since and until must be ISO 8601 dates' });
+    }
+
+    const groups = await summarizeAiUsage({ ...period, groupBy });
+    res.status(200).json({
+      since: period.since.toISOString(),
+      until: period.until.toISOString(),
+      groupBy,
+      groups,
+    });
+  })
+);
+
+// -- 管理画面 --
+
+admin.get(
+  '/',
+  adminHandler('Error rendering admin dashboard', async (req, res) => {
+    const keyword = req.query.q || '';
+    const page = parseInt(req.query.page, 10) || 1;
+    const now = clock.now();
+
+    const [{ users, hasNext }, stats, spend] = await Promise.all([
+      listUsersForAdmin({ page, keyword }),
+      dailyStats({ days: 14, now }),
+      summarizeAiUsage({ since: new Date(now.getTime() - 30 * DAY_MS), until: now }),
+    ]);
+
+    const html = renderAdminHome({
+      keyword,
+      users,
+      hasNext,
+      page,
+      stats,
+      spend,
+      errors: recentErrors.slice(0, 20),
+    });
+    res.status(200).type('html').send(html);
+  })
+);
+
+admin.get(
+  '/view/users/:lineUserId',
+  adminHandler('Error rendering admin user page', async (req, res) => {
+    const detail = await getUserForAdmin(req.params.lineUserId);
+    if (!detail) {
+      return res.status(404).type('html').send(ADMIN_NOT_FOUND_PAGE);
+    }
+    const notice = req.query.saved ? '保存しました。' : '';
+    res.status(200).type('html').send(renderAdminUser(detail, { notice }));
+  })
+);
+
+// フォームは PATCH を送れないので POST で受けて、保存後は同じページに戻す
+admin.post(
+  '/view/users/:lineUserId',
+  adminHandler('Error saving admin user page', async (req, res) => {
+    const token = req.body && req.body.csrf_token;
+    if (!secretsEqual(token, adminFormToken(req.params.lineUserId))) {
+      return res.status(403).type('html').send(ADMIN_FORBIDDEN_PAGE);
+    }
+
+    const user = await repo.findUser(req.params.lineUserId);
+    if (!user) {
+      return res.status(404).type('html').send(ADMIN_NOT_FOUND_PAGE);
+    }
+
+    const { patch, error } = buildAdminUserPatch(user, req.body || {});
+    if (error) {
+      const detail = await getUserForAdmin(user.line_user_id);
+      return res.status(400).type('html').send(renderAdminUser(detail, { error }));
+    }
+
+    await updateUser(user.line_user_id, patch);
+    res.redirect(303, `/admin/view/users/${encodeURIComponent(user.line_user_id)}?saved=1`);
+  })
+);
+
+app.use('/admin', admin);
+
+// ---------- サーバー起動 ----------
+
+// require されたとき（テストハーネスなど）は listen せず app だけ渡す
+if (require.main === module) {
+  const port = process.env.PORT || 8080;
+  app.listen(port, () => {
+    console.log(`Server listening on ${port}`);
+  });
+}
+
+module.exports = {
+  app,
+  lineApi,
+  lineClient,
+  repo,
+  clock,
+  handleEvent,
+  jobQueue,
+  detectLanguage,
+  scheduleNextReview,
+  ttsCache,
+};
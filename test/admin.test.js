@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+before(harness.start);
+after(harness.stop);
+
+test('ユーザーを検索して設定を確認・変更できる', async () => {
+  const user = harness.createUser('Uadmin0001');
+  await user.say('会議を少し遅らせてもいいですか');
+
+  let res = await harness.adminRequest('GET', '/admin/users?q=admin0001');
+  assert.equal(res.status, 200);
+  const { users } = await res.json();
+  assert.deepEqual(
+    users.map((u) => u.line_user_id),
+    ['Uadmin0001']
+  );
+
+  res = await harness.adminRequest('GET', '/admin/users/Uadmin0001');
+  let detail = await res.json();
+  assert.match(detail.settingsSummary, /いまの設定はこんな感じです/);
+  assert.equal(detail.recentTranslations.length, 1);
+
+  res = await harness.adminRequest('PATCH', '/admin/users/Uadmin0001', {
+    tone_default: 'casual',
+    level_type: 'toeic',
+    level_value: '600_800',
+  });
+  assert.equal(res.status, 200);
+  detail = await res.json();
+  assert.equal(detail.user.tone_default, 'casual');
+  assert.equal(detail.user.level_value, '600_800');
+});
+
+test('取りえない値への変更は 400 で断る', async () => {
+  await harness.createUser('Uadmin0002').say('設定');
+
+  let res = await harness.adminRequest('PATCH', '/admin/users/Uadmin0002', { tone_default: 'rude' });
+  assert.equal(res.status, 400);
+
+  res = await harness.adminRequest('PATCH', '/admin/users/Uadmin0002', { level_type: 'toeic' });
+  assert.equal(res.status, 400);
+
+  res = await harness.adminRequest('PATCH', '/admin/users/Unobody', { tone_default: 'casual' });
+  assert.equal(res.status, 404);
+});
+
+test('日ごとの利用と直近のエラーを返す', async () => {
+  const user = harness.createUser();
+  await user.say('Could you reschedule the meeting?');
+
+  let res = await harness.adminRequest('GET', '/admin/stats?days=3');
+  const { days } = await res.json();
+  assert.equal(days.length, 3);
+  const today = days[days.length - 1];
+  assert.ok(today.active_users >= 1);
+  assert.ok(today.EN_TO_JA >= 1);
+
+  // message のないメッセージイベントで handleEvent を失敗させる（Webhook 自体は 200 で返す）
+  res = await harness.postEvents([{ type: 'message', source: { type: 'user', userId: 'Ubroken' } }]);
+  assert.equal(res.status, 200);
+  await harness.jobQueue.drain();
+
+  res = await harness.adminRequest('GET', '/admin/errors');
+  const { errors } = await res.json();
+  assert.equal(errors[0].label, 'Error handling event');
+});
+
+test('知らない postback は記録してホームに戻す', async () => {
+  const user = harness.createUser();
+  const [reply] = await user.postback({ action: 'no_such_action' });
+  assert.match(harness.textOf(reply), /翻訳したい日本語か英語の文/);
+
+  const res = await harness.adminRequest('GET', '/admin/errors');
+  const { errors } = await res.json();
+  assert.equal(errors[0].label, 'Unknown postback action');
+  assert.deepEqual(errors[0].details, { action: 'no_such_action' });
+});
+
+test('管理画面はシークレットなしでは開けず、Basic 認証で開ける', async () => {
+  let res = await harness.adminRequest('GET', '/admin', undefined, { secret: '' });
+  assert.equal(res.status, 401);
+  assert.match(res.headers.get('www-authenticate'), /^Basic/);
+
+  const basic = Buffer.from(`admin:${harness.TEST_ADMIN_SECRET}`).toString('base64');
+  res = await harness.adminRequest('GET', '/admin', undefined, { authorization: `Basic ${basic}` });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /ダッシュボード/);
+});
+
+test('管理画面のフォームから設定を保存できる', async () => {
+  await harness.createUser('Uadmin0003').say('設定');
+
+  let res = await harness.adminRequest('GET', '/admin/view/users/Uadmin0003');
+  const [, token] = (await res.text()).match(/name="csrf_token" value="([0-9a-f]+)"/);
+
+  res = await harness.adminRequest('POST', '/admin/view/users/Uadmin0003', undefined, {
+    form: `csrf_token=${token}&tone_default=business&usage_default=MAIL_EXTERNAL`,
+  });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get('location'), '/admin/view/users/Uadmin0003?saved=1');
+
+  const record = await harness.repo.findUser('Uadmin0003');
+  assert.equal(record.tone_default, 'business');
+  assert.equal(record.usage_default, 'MAIL_EXTERNAL');
+});
+
+test('CSRF トークンのないフォーム送信は 403 で断る', async () => {
+  await harness.createUser('Uadmin0004').say('設定');
+
+  const basic = Buffer.from(`admin:${harness.TEST_ADMIN_SECRET}`).toString('base64');
+  let res = await harness.adminRequest('POST', '/admin/view/users/Uadmin0004', undefined, {
+    authorization: `Basic ${basic}`,
+    form: 'plan=pro',
+  });
+  assert.equal(res.status, 403);
+
+  // 別のユーザーのページのトークンも使えない
+  res = await harness.adminRequest('GET', '/admin/view/users/Uadmin0003');
+  const [, token] = (await res.text()).match(/name="csrf_token" value="([0-9a-f]+)"/);
+  res = await harness.adminRequest('POST', '/admin/view/users/Uadmin0004', undefined, {
+    authorization: `Basic ${basic}`,
+    form: `csrf_token=${token}&plan=pro`,
+  });
+  assert.equal(res.status, 403);
+
+  assert.equal((await harness.repo.findUser('Uadmin0004')).plan || 'free', 'free');
+});
+
+test('更新系 API は Basic 認証のフォーム送信や JSON 以外を 403 で断る', async () => {
+  await harness.createUser('Uadmin0005').say('設定');
+
+  const basic = Buffer.from(`admin:${harness.TEST_ADMIN_SECRET}`).toString('base64');
+  let res = await harness.adminRequest('POST', '/admin/quota-grants', undefined, {
+    authorization: `Basic ${basic}`,
+    form: 'lineUserId=Uadmin0005&amount=100&days=30',
+  });
+  assert.equal(res.status, 403);
+
+  res = await harness.adminRequest('PATCH', '/admin/users/Uadmin0005', undefined, {
+    authorization: `Basic ${basic}`,
+    form: 'plan=pro',
+  });
+  assert.equal(res.status, 403);
+
+  // ヘッダーがあってもフォーム送信は受け付けない
+  res = await harness.adminRequest('POST', '/admin/quota-grants', undefined, {
+    form: 'lineUserId=Uadmin0005&amount=100&days=30',
+  });
+  assert.equal(res.status, 403);
+
+  const record = await harness.repo.findUser('Uadmin0005');
+  assert.equal(record.bonus_quota ?? 0, 0);
+  assert.equal(record.plan || 'free', 'free');
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('友だち追加からはじめの設定をスキップで終えられる', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.follow();
+  assert.match(textOf(reply), /友だち追加ありがとうございます/);
+  assert.match(textOf(reply), /はじめの設定（1\/3）/);
+  assert.ok(quickReplyLabels(reply).includes('⏭ スキップ'));
+
+  [reply] = await user.tap('⏭ スキップ');
+  assert.match(textOf(reply), /はじめの設定（2\/3）/);
+
+  [reply] = await user.tap('⏭ スキップ');
+  assert.match(textOf(reply), /はじめの設定（3\/3）/);
+
+  [reply] = await user.tap('カジュアル');
+  assert.match(textOf(reply), /はじめの設定が完了しました/);
+
+  const record = await user.record();
+  assert.equal(record.onboarding_state, 'done');
+  assert.equal(record.tone_default, 'casual');
+});
+
+test('設定メニューから文体を変えられる', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('設定');
+  assert.match(textOf(reply), /⚙️ 設定/);
+  assert.deepEqual(quickReplyLabels(reply).slice(0, 4), [
+    '🎯 レベル',
+    '📮 用途',
+    '🎨 文体',
+    '🧩 かんたん設定',
+  ]);
+
+  [reply] = await user.tap('🎨 文体');
+  assert.match(textOf(reply), /よく使う文体を選んでください/);
+
+  [reply] = await user.tap('ビジネス');
+  assert.match(textOf(reply), /文体を「.+」にしました/);
+  assert.equal((await user.record()).tone_default, 'business');
+});
+
+test('かんたんテストの答えでレベルが決まる', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('今すぐテストしてみる');
+  assert.match(textOf(reply), /かんたんレベルチェック/);
+  assert.deepEqual(quickReplyLabels(reply).slice(0, 3), ['①', '②', '③']);
+
+  [reply] = await user.tap('②');
+  assert.match(textOf(reply), /テスト結果から、レベルを/);
+
+  const record = await user.record();
+  assert.equal(record.level_type, 'eiken');
+  assert.equal(record.level_value, '3');
+});
+
+test('英文を作ったあとに文体を変えて作り直せる', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /Could we move the meeting to a slightly later time\?/);
+  assert.ok(quickReplyLabels(reply).includes('😊 カジュアルに'));
+
+  [reply] = await user.tap('😊 カジュアルに');
+  assert.match(textOf(reply), /Could we move the meeting/);
+  // モックは文体によらず同じ英文を返すので「ほぼ同じ表現」の注記が付く
+  assert.match(textOf(reply), /ほぼ同じ表現/);
+
+  const record = await user.record();
+  assert.equal(record.last_source_ja, '会議を少し遅らせてもいいですか');
+  assert.equal(record.last_mode, 'JA_TO_EN');
+});
+
+test('日本語と英語が混ざった文はどちらに訳すか選べる', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('この meeting を reschedule したい');
+  assert.match(textOf(reply), /日本語と英語がいっしょに入っている/);
+  assert.deepEqual(quickReplyLabels(reply).slice(0, 2), ['英訳してほしい', '和訳してほしい']);
+  assert.equal((await user.record()).pending_mixed_text, 'この meeting を reschedule したい');
+
+  [reply] = await user.tap('和訳してほしい');
+  assert.match(textOf(reply), /会議を少し遅い時間にずらせますか/);
+  assert.match(textOf(reply), /reschedule/);
+  assert.equal((await user.record()).pending_mixed_text, null);
+
+  // 選んだあとに古いボタンを押しても前の文は訳し直さない
+  [reply] = await user.postback({ action: 'translate_mixed', to: 'en' });
+  assert.match(textOf(reply), /翻訳する文が見つかりませんでした/);
+});
+
+test('ほかの案は、新しい文を送ったあとに前の候補を押しても使わない', async () => {
+  const user = harness.createUser();
+
+  await user.say('会議を少し遅らせてもいいですか');
+  let [reply] = await user.tap('🔀 ほかの案');
+  assert.match(textOf(reply), /ほかの言い方の案です/);
+
+  [reply] = await user.tap('②');
+  assert.match(textOf(reply), /Would it be okay to start the meeting a bit later\?/);
+  // 別の言い方はいつもの文体（丁寧）のまま作り直す
+  const rephrase = reply.quickReply.items.find((item) => item.action.label === '🔁 別の言い方');
+  assert.match(rephrase.action.data, /tone=polite/);
+  assert.equal(
+    (await user.record()).last_output_en,
+    'Would it be okay to start the meeting a bit later?'
+  );
+
+  await user.say('明日は休みです');
+  const before = await user.record();
+
+  // 前の文の候補ボタンを押す
+  [reply] = await user.postback({ action: 'choose_candidate', i: 0 });
+  assert.match(textOf(reply), /その案が見つかりませんでした/);
+
+  const after = await user.record();
+  assert.equal(after.last_source_ja, '明日は休みです');
+  assert.equal(after.last_output_en, before.last_output_en);
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// 返信トークンは常に期限切れ扱い、ローディングは待たずに出す
+process.env.REPLY_TOKEN_TTL_MS = '0';
+process.env.LOADING_DELAY_MS = '0';
+
+const harness = require('./harness');
+
+before(harness.start);
+after(harness.stop);
+
+test('返信トークンが古ければ同じ内容をプッシュで届ける', async () => {
+  const user = harness.createUser();
+  const before = harness.lineClient.sent.length;
+
+  const [message] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(harness.textOf(message), /Could we move the meeting/);
+
+  const entries = harness.lineClient.sent.slice(before);
+  assert.deepEqual(
+    entries.map((e) => [e.type, e.to]),
+    [
+      ['loading', user.userId],
+      ['push', user.userId],
+    ]
+  );
+});
+
+test('Webhook は処理を待たずに 200 を返し、キューが後から処理する', async () => {
+  const before = harness.lineClient.sent.length;
+  const event = harness.buildEvent('text-message', 'Uqueued', (e) => {
+    e.message.text = 'ヘルプ';
+  });
+
+  const res = await harness.postEvents([event]);
+  assert.equal(res.status, 200);
+
+  await harness.jobQueue.drain();
+  const pushes = harness.lineClient.sent
+    .slice(before)
+    .filter((e) => e.type === 'push' && e.to === 'Uqueued');
+  assert.equal(pushes.length, 1);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+async function mailUser() {
+  const user = harness.createUser();
+  await user.say('設定');
+  await user.tap('📮 用途');
+  await user.tap('社外メール');
+  return user;
+}
+
+test('メールの用途では件名と本文を分けたメールの形で返す', async () => {
+  const user = await mailUser();
+
+  await user.say('差出人:Taro Yamada');
+  await user.say('会社名:ABC Inc.');
+
+  const messages = await user.say('明日の会議を少し遅らせてもらえないか聞きたい');
+  assert.equal(messages.length, 3);
+
+  const [intro, subject, body] = messages;
+  assert.match(textOf(intro), /社外メール.+の形にしました/);
+  assert.equal(textOf(subject), "Request to reschedule tomorrow's meeting");
+  assert.match(textOf(body), /^Hi,\n\nCould we move tomorrow's meeting/);
+  assert.match(textOf(body), /Best regards,\nTaro Yamada\nABC Inc\.$/);
+
+  assert.ok(quickReplyLabels(body).includes('💼 ビジネスに'));
+  assert.ok(!quickReplyLabels(body).includes('✨ この英文でOK'));
+
+  const record = await user.record();
+  assert.equal(record.last_mode, 'EMAIL');
+  assert.equal(record.last_output_en, textOf(body));
+});
+
+test('文体を変えてもメールの形のまま作り直す', async () => {
+  const user = await mailUser();
+  await user.say('明日の会議を少し遅らせてもらえないか聞きたい');
+
+  const messages = await user.tap('💼 ビジネスに');
+  assert.equal(messages.length, 3);
+  assert.match(textOf(messages[0]), /（ビジネス）/);
+
+  const [reply] = await user.say('この英文でOK');
+  assert.match(textOf(reply), /メールの形では使えません/);
+});
+
+test('メール設定で差出人・宛名を確認・削除できる', async () => {
+  const user = await mailUser();
+
+  let [reply] = await user.say('宛名：Mr. Smith');
+  assert.match(textOf(reply), /保存しました/);
+  assert.match(textOf(reply), /宛名：Mr\. Smith/);
+  assert.equal((await user.record()).email_recipient_name, 'Mr. Smith');
+
+  [reply] = await user.say('宛名:');
+  assert.match(textOf(reply), /宛名：（未設定）/);
+  assert.equal((await user.record()).email_recipient_name, null);
+
+  [reply] = await user.say('メール設定');
+  assert.match(textOf(reply), /差出人：（未設定）/);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('グループに招待されたら使い方と設定を返す', async () => {
+  const group = harness.createGroup();
+
+  const [reply] = await group.join();
+  assert.match(textOf(reply), /招待ありがとうございます/);
+  assert.match(textOf(reply), /メンション \/ プレフィックスのときだけ翻訳/);
+  assert.ok(quickReplyLabels(reply).includes('▶ 自動翻訳ON'));
+
+  const settings = await group.settings();
+  assert.equal(settings.translate_mode, 'mention');
+});
+
+test('メンションされたら翻訳し、メンバーの users は作らない', async () => {
+  const group = harness.createGroup();
+  const from = `Umember${Date.now()}`;
+
+  let [reply] = await group.say('会議を少し遅らせてもいいですか', { from, mention: true });
+  assert.match(textOf(reply), /^🇺🇸 Could we move the meeting/);
+
+  [reply] = await group.say('Could we reschedule the meeting?', { from, mention: true });
+  assert.match(textOf(reply), /^🇯🇵 会議を少し遅い時間にずらせますか/);
+
+  assert.equal(await harness.repo.findUser(from), null);
+});
+
+test('プレフィックスをつけた発言を翻訳する', async () => {
+  const group = harness.createGroup();
+
+  const [reply] = await group.say('訳: 会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /^🇺🇸 Could we move the meeting/);
+  assert.equal((await group.settings()).usage_day_count, 1);
+});
+
+test('メンションもプレフィックスもない発言には反応しない', async () => {
+  const group = harness.createGroup();
+  await group.join();
+
+  assert.deepEqual(await group.say('会議を少し遅らせてもいいですか'), []);
+  assert.deepEqual(await group.say('Could we reschedule the meeting?'), []);
+  assert.equal((await group.settings()).usage_day_count, undefined);
+});
+
+test('メンションだけ・「設定」だけなら設定を返す', async () => {
+  const group = harness.createGroup();
+
+  let [reply] = await group.say('', { mention: true });
+  assert.match(textOf(reply), /このトークの設定/);
+
+  [reply] = await group.say('訳: 設定');
+  assert.match(textOf(reply), /このトークの設定/);
+  assert.equal((await group.settings()).usage_day_count, undefined);
+});
+
+test('自動翻訳をONにすると呼ばれなくても翻訳し、短い相づちには反応しない', async () => {
+  const group = harness.createGroup();
+  await group.join();
+
+  const [reply] = await group.tap('▶ 自動翻訳ON');
+  assert.match(textOf(reply), /設定を変更しました/);
+  assert.match(textOf(reply), /自動翻訳（日本語・外国語の発言をすべて翻訳）/);
+  assert.equal((await group.settings()).translate_mode, 'auto');
+
+  const [translated] = await group.say('会議を少し遅らせてもいいですか', { from: 'Umember0002' });
+  assert.match(textOf(translated), /^🇺🇸 Could we move the meeting/);
+
+  assert.deepEqual(await group.say('OK'), []);
+  assert.deepEqual(await group.say('👍'), []);
+  assert.equal((await group.settings()).usage_day_count, 1);
+});
+
+test('グループから退出しても返信せず、エラーにもならない', async () => {
+  const group = harness.createGroup();
+  await group.join();
+
+  assert.deepEqual(await group.leave(), []);
+
+  const res = await harness.adminRequest('GET', '/admin/errors');
+  const { errors } = await res.json();
+  assert.equal(errors.length, 0);
+});
@@ -0,0 +1,313 @@
+// test/harness.js
+// Webhook リプレイ用のハーネス
+// fixtures のイベントにテスト用チャネルシークレットで署名して /webhook に POST し、
+// ジョブキューが空になるのを待ってから、fake LINE クライアントに溜まった返信・プッシュを取り出す。
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TEST_CHANNEL_SECRET = 'test-channel-secret';
+const TEST_ADMIN_SECRET = 'test-admin-secret';
+
+// index.js を読み込む前に外部サービスを使わない設定にしておく
+process.env.NODE_ENV = 'test';
+process.env.LINE_CHANNEL_SECRET = TEST_CHANNEL_SECRET;
+process.env.LINE_CHANNEL_ACCESS_TOKEN = 'test-access-token';
+process.env.LINE_CLIENT = 'fake';
+process.env.ADMIN_SECRET = TEST_ADMIN_SECRET;
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.STT_PROVIDER = 'fake';
+process.env.TTS_PROVIDER = 'fake';
+
+const { app, lineApi: lineClient, repo, jobQueue } = require('../index');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+// グループでボットをメンションしたときに本文の先頭につく文字
+const BOT_MENTION = '@YourTranslator';
+
+let server = null;
+let baseUrl = '';
+let sequence = 0;
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+function sign(body, secret = TEST_CHANNEL_SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+async function start() {
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stop() {
+  if (!server) return;
+  await new Promise((resolve) => server.close(resolve));
+  server = null;
+}
+
+// signature を渡せば署名をわざと壊したリクエストも送れる
+async function postEvents(events, { signature } = {}) {
+  const body = JSON.stringify({ destination: 'Utestbot', events });
+  return fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-line-signature': signature || sign(body),
+    },
+    body,
+  });
+}
+
+// 認証のいらない GET（読み上げ音声の配信など）
+async function get(pathname) {
+  return fetch(`${baseUrl}${pathname}`);
+}
+
+// 管理用エンドポイントを叩く。authorization を渡せば Basic 認証、form を渡せばフォーム送信
+async function adminRequest(
+  method,
+  pathname,
+  body,
+  { secret = TEST_ADMIN_SECRET, authorization, form } = {}
+) {
+  const headers = authorization ? { authorization } : { 'x-admin-secret': secret };
+  headers['content-type'] = form ? 'application/x-www-form-urlencoded' : 'application/json';
+
+  return fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: form || (body === undefined ? undefined : JSON.stringify(body)),
+    redirect: 'manual',
+  });
+}
+
+// fixture を読み込み、ユーザー・返信トークン・イベント ID を埋める
+function buildEvent(name, userId, fill = () => {}) {
+  sequence += 1;
+  const event = loadFixture(name);
+  event.timestamp = Date.now();
+  event.source.userId = userId;
+  event.replyToken = `reply-token-${sequence}`;
+  event.webhookEventId = `test-event-${sequence}`;
+  fill(event);
+  return event;
+}
+
+// 表示される文字をまとめて取り出す（Flex は中の text を全部つなぐ）
+function textOf(message) {
+  if (!message) return '';
+  if (message.type === 'text') return message.text;
+  if (message.type === 'flex') {
+    const texts = [];
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.type === 'text' && typeof node.text === 'string') texts.push(node.text);
+      Object.values(node).forEach(walk);
+    };
+    walk(message.contents);
+    return texts.join('\n');
+  }
+  return message.altText || '';
+}
+
+function quickReplyLabels(message) {
+  const items = (message && message.quickReply && message.quickReply.items) || [];
+  return items.map((item) => item.action.label);
+}
+
+// イベントを 1 件送ってキューが空になるまで待ち、その間に LINE へ送られたものを返す
+async function deliver(event) {
+  const before = lineClient.sent.length;
+  const res = await postEvents([event]);
+  if (res.status !== 200) {
+    throw new Error(`Webhook responded with ${res.status}`);
+  }
+  await jobQueue.drain();
+  return lineClient.sent.slice(before);
+}
+
+function findQuickReply(message, label) {
+  const item = ((message && message.quickReply && message.quickReply.items) || []).find(
+    (i) => i.action.label === label
+  );
+  if (!item) {
+    throw new Error(`Quick reply "${label}" not found in: ${quickReplyLabels(message).join(', ')}`);
+  }
+  return item;
+}
+
+// 1 人分の会話を進める。say / tap / follow は、そのイベントで返ってきたメッセージの配列を返す
+function createUser(userId = `U${crypto.randomBytes(16).toString('hex')}`) {
+  let lastMessages = [];
+
+  async function send(event) {
+    // 返信トークンが古いときはプッシュで届くので、どちらも拾う
+    lastMessages = (await deliver(event))
+      .filter(
+        (entry) =>
+          (entry.type === 'reply' && entry.to === event.replyToken) ||
+          (entry.type === 'push' && entry.to === userId)
+      )
+      .flatMap((entry) => entry.messages);
+    return lastMessages;
+  }
+
+  function sendContent(name, data, contentType) {
+    return send(
+      buildEvent(name, userId, (event) => {
+        event.message.id = `message-${sequence}`;
+        lineClient.contents.set(event.message.id, { data, contentType });
+      })
+    );
+  }
+
+  return {
+    userId,
+
+    follow() {
+      return send(buildEvent('follow', userId));
+    },
+
+    say(text) {
+      return send(
+        buildEvent('text-message', userId, (event) => {
+          event.message.id = `message-${sequence}`;
+          event.message.quoteToken = `quote-${sequence}`;
+          event.message.text = text;
+        })
+      );
+    },
+
+    // 画像・音声は fake LINE クライアントに中身を置いてから送る
+    sendImage(data, contentType = 'image/jpeg') {
+      return sendContent('image-message', data, contentType);
+    },
+
+    sendAudio(data, contentType = 'audio/x-m4a') {
+      return sendContent('audio-message', data, contentType);
+    },
+
+    postback(data) {
+      const encoded = typeof data === 'string' ? data : new URLSearchParams(data).toString();
+      return send(
+        buildEvent('postback', userId, (event) => {
+          event.postback.data = encoded;
+        })
+      );
+    },
+
+    // 直前の返信のクイックリプライをラベルで押す
+    tap(label) {
+      const item = findQuickReply(lastMessages[lastMessages.length - 1], label);
+      if (item.action.type === 'postback') {
+        return this.postback(item.action.data);
+      }
+      return this.say(item.action.text);
+    },
+
+    async record() {
+      return repo.findUser(userId);
+    },
+  };
+}
+
+// グループでのやりとりを進める。say / postback / tap / join / leave は、そのイベントへの返信の配列を返す。
+// from は発言したメンバー、mention: true ならボットをメンションした発言にする
+function createGroup(groupId = `C${crypto.randomBytes(16).toString('hex')}`) {
+  let lastMessages = [];
+
+  async function send(event) {
+    lastMessages = (await deliver(event))
+      .filter((entry) => entry.type === 'reply' && entry.to === event.replyToken)
+      .flatMap((entry) => entry.messages);
+    return lastMessages;
+  }
+
+  function groupEvent(name, from, fill = () => {}) {
+    return buildEvent(name, from, (event) => {
+      event.source = { type: 'group', groupId, userId: from };
+      fill(event);
+    });
+  }
+
+  return {
+    groupId,
+
+    join() {
+      return send(groupEvent('join', undefined, (event) => delete event.source.userId));
+    },
+
+    leave() {
+      return send(groupEvent('leave', undefined, (event) => delete event.source.userId));
+    },
+
+    say(text, { from = 'Umember0001', mention = false } = {}) {
+      return send(
+        groupEvent('text-message', from, (event) => {
+          event.message.id = `message-${sequence}`;
+          event.message.text = mention ? `${BOT_MENTION} ${text}` : text;
+          if (mention) {
+            event.message.mention = {
+              mentionees: [
+                {
+                  index: 0,
+                  length: BOT_MENTION.length,
+                  type: 'user',
+                  userId: 'Ubot',
+                  isSelf: true,
+                },
+              ],
+            };
+          }
+        })
+      );
+    },
+
+    postback(data, { from = 'Umember0001' } = {}) {
+      const encoded = typeof data === 'string' ? data : new URLSearchParams(data).toString();
+      return send(
+        groupEvent('postback', from, (event) => {
+          event.postback.data = encoded;
+        })
+      );
+    },
+
+    tap(label) {
+      const item = findQuickReply(lastMessages[lastMessages.length - 1], label);
+      if (item.action.type === 'postback') {
+        return this.postback(item.action.data);
+      }
+      return this.say(item.action.text);
+    },
+
+    async settings() {
+      return repo.findGroupSettings(groupId);
+    },
+  };
+}
+
+module.exports = {
+  jobQueue,
+  TEST_CHANNEL_SECRET,
+  TEST_ADMIN_SECRET,
+  lineClient,
+  repo,
+  start,
+  stop,
+  sign,
+  postEvents,
+  get,
+  adminRequest,
+  buildEvent,
+  textOf,
+  quickReplyLabels,
+  createUser,
+  createGroup,
+};
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('履歴は 5 件ずつ新しい順に出し、前後のページに移れる', async () => {
+  const user = harness.createUser();
+  for (let i = 1; i <= 6; i++) {
+    await user.say(`${i}番目の会議の予定を少し遅らせたいです`);
+  }
+
+  let [reply] = await user.say('履歴');
+  assert.match(textOf(reply), /翻訳履歴（1ページ目）/);
+  assert.match(textOf(reply), /6番目の会議/);
+  assert.doesNotMatch(textOf(reply), /1番目の会議/);
+  assert.ok(quickReplyLabels(reply).includes('古い履歴 ▶'));
+  assert.ok(!quickReplyLabels(reply).includes('◀ 新しい履歴'));
+
+  [reply] = await user.tap('古い履歴 ▶');
+  assert.match(textOf(reply), /翻訳履歴（2ページ目）/);
+  assert.match(textOf(reply), /1番目の会議/);
+  assert.ok(!quickReplyLabels(reply).includes('古い履歴 ▶'));
+
+  [reply] = await user.tap('◀ 新しい履歴');
+  assert.match(textOf(reply), /6番目の会議/);
+
+  [reply] = await user.postback({ action: 'history_page', page: 3 });
+  assert.match(textOf(reply), /これより前の履歴はありません/);
+});
+
+test('履歴を開くと、その文の続きとして文体を変えられる', async () => {
+  const user = harness.createUser();
+  await user.say('会議を少し遅らせてもいいですか');
+  await user.say('Could you reschedule the meeting?');
+
+  await user.say('履歴');
+  const messages = await user.tap('②');
+  assert.match(textOf(messages[0]), /会議を少し遅らせてもいいですか/);
+  assert.match(textOf(messages[1]), /Could we move the meeting/);
+
+  const record = await user.record();
+  assert.equal(record.last_mode, 'JA_TO_EN');
+  assert.equal(record.last_source_ja, '会議を少し遅らせてもいいですか');
+
+  const [reply] = await user.tap('💼 ビジネスに');
+  assert.match(textOf(reply), /ビジネス/);
+});
+
+test('メールの履歴はメールの形で開き、文体を変えてもメールのまま作り直す', async () => {
+  const user = harness.createUser();
+  await user.say('設定');
+  await user.tap('📮 用途');
+  await user.tap('社外メール');
+  await user.say('明日の会議を少し遅らせてもらえないか聞きたい');
+
+  const [list] = await user.say('履歴');
+  assert.match(textOf(list), /日→英 \/ 丁寧（フラット） \/ メール/);
+
+  const messages = await user.tap('①');
+  assert.equal(messages.length, 3);
+  assert.match(textOf(messages[0]), /のメール/);
+  assert.equal(textOf(messages[1]), "Request to reschedule tomorrow's meeting");
+  assert.match(textOf(messages[2]), /^Hi,\n\nCould we move tomorrow's meeting/);
+
+  const record = await user.record();
+  assert.equal(record.last_mode, 'EMAIL');
+  assert.equal(record.last_output_en, textOf(messages[2]));
+
+  const remade = await user.tap('💼 ビジネスに');
+  assert.equal(remade.length, 3);
+  assert.match(textOf(remade[0]), /の形にしました（ビジネス）/);
+});
+
+test('ほかの人の履歴は開けない', async () => {
+  const owner = harness.createUser();
+  await owner.say('会議を少し遅らせてもいいですか');
+  const [entry] = await harness.repo.listTranslations(owner.userId, { offset: 0, limit: 1 });
+
+  const other = harness.createUser();
+  await other.say('設定');
+  const [reply] = await other.postback({ action: 'history_open', id: entry.id });
+  assert.match(textOf(reply), /その履歴は見つかりませんでした/);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./harness');
+const { detectLanguage } = require('../index');
+
+const CASES = [
+  // 日本語
+  ['会議を少し遅らせてもいいですか', 'ja'],
+  ['会議室予約', 'ja'],
+  ['ｶﾀｶﾅﾃﾞｽ', 'ja'],
+  // 日本語でも使う字（没・会 など）だけなら日本語
+  ['日没', 'ja'],
+  ['ソーシャルメディア・マーケティング', 'ja'],
+  // 製品名や 1 語だけの英語は日本語の文の一部
+  ['新しいiPhoneを買いました', 'ja'],
+  ['明日のMTGの資料をSlackで送ります', 'ja'],
+  ['Zoomで', 'ja'],
+  ['OK、了解です', 'ja'],
+  ['reschedule したいです', 'ja'],
+  // ローマ字
+  ['ashita wa yasumi desu', 'ja'],
+  ['arigatou gozaimasu', 'ja'],
+  ['Osaka desu', 'ja'],
+  ['genki desu', 'ja'],
+  ['mite kudasai', 'ja'],
+  // どちらとも言えないものだけ mixed
+  ['この meeting を reschedule したい', 'mixed'],
+  // 英語などの外国語
+  ['Could we push the meeting back a little?', 'en'],
+  ['OK', 'en'],
+  ['AI', 'en'],
+  ['Please check the 資料 before the meeting tomorrow', 'en'],
+  // ローマ字の語尾や wa に似た英語
+  ['Mary wa here yesterday', 'en'],
+  ['I left it on the desk', 'en'],
+  ['Mary was at the desk', 'en'],
+  ['我们可以把会议推迟一点吗？', 'zh'],
+  ['会议改到下午三点', 'zh'],
+  ['我明天不能参加会议', 'zh'],
+  ['明天开会', 'zh'],
+  ['회의를 조금 늦출 수 있을까요?', 'ko'],
+  ['¿Podemos mover la reunión un poco más tarde?', 'es'],
+  ['Bonjour, est-ce que nous pouvons décaler la réunion ?', 'fr'],
+  // 文字がない
+  ['👍👍', 'other'],
+  ['。。。', 'other'],
+];
+
+test('文字の種類の割合から言語を判定する', () => {
+  for (const [text, expected] of CASES) {
+    assert.equal(detectLanguage(text).language, expected, text);
+  }
+});
+
+test('短い文ほど confidence が低い', () => {
+  const short = detectLanguage('OK');
+  const long = detectLanguage('Could we push the meeting back a little?');
+
+  assert.ok(short.confidence < 0.7, `OK: ${short.confidence}`);
+  assert.ok(long.confidence > short.confidence);
+  assert.ok(detectLanguage('会議を少し遅らせてもいいですか').confidence > 0.9);
+  assert.equal(detectLanguage('この meeting を reschedule したい').confidence, 0.5);
+});
+
+test('仮名も簡体字もない長い漢字だけの文は、グループの自動翻訳に足りない confidence にする', () => {
+  assert.ok(detectLanguage('会議室予約').confidence < 0.7);
+  assert.ok(detectLanguage('東京都港区六本木').confidence < 0.7);
+  assert.equal(detectLanguage('了解').confidence, 0.7);
+  assert.equal(detectLanguage('会议改到下午三点').confidence, 0.9);
+});
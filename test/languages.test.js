@@ -0,0 +1,133 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.LLM_MOCK_FIXTURES = path.join(__dirname, 'fixtures', 'llm-languages.json');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('中国語・韓国語・スペイン語・フランス語は日本語に訳す', async () => {
+  const user = harness.createUser();
+  const cases = [
+    ['我们可以把会议推迟一点吗？', '🇨🇳 → 🇯🇵 和訳'],
+    ['회의를 조금 늦출 수 있을까요?', '🇰🇷 → 🇯🇵 和訳'],
+    ['¿Podemos mover la reunión un poco más tarde?', '🇪🇸 → 🇯🇵 和訳'],
+    ['Bonjour, est-ce que nous pouvons décaler la réunion ?', '🇫🇷 → 🇯🇵 和訳'],
+    ['Could we push the meeting back a little?', '🇺🇸 → 🇯🇵 和訳'],
+  ];
+
+  for (const [text, header] of cases) {
+    const [reply] = await user.say(text);
+    assert.ok(textOf(reply).includes(header), `${text} → ${textOf(reply)}`);
+  }
+
+  // 漢字だけの日本語は中国語と取り違えない
+  const [reply] = await user.say('会議室予約');
+  assert.match(textOf(reply), /🇯🇵 → 🇺🇸 英訳/);
+});
+
+test('設定で翻訳先を変えると、日本語はその言語にする', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('設定');
+  assert.match(textOf(reply), /翻訳先：英語/);
+
+  [reply] = await user.tap('🌐 翻訳先');
+  assert.ok(quickReplyLabels(reply).includes('🇰🇷 韓国語'));
+
+  [reply] = await user.tap('🇰🇷 韓国語');
+  assert.match(textOf(reply), /翻訳先を「韓国語」にしました/);
+  assert.equal((await user.record()).target_language, 'ko');
+
+  [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /🇯🇵 → 🇰🇷 韓国語訳/);
+  assert.match(textOf(reply), /회의를 조금 늦출 수 있을까요/);
+  // 英語のレベルのバッジや英語にしかない機能のボタンは出さない
+  assert.doesNotMatch(textOf(reply), /英検2級/);
+  assert.ok(!quickReplyLabels(reply).includes('✨ この英文でOK'));
+  assert.ok(!quickReplyLabels(reply).includes('🔀 ほかの案'));
+});
+
+test('「○○語にして」は設定を変えずに 1 回だけその言語にする', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /Could we move the meeting/);
+  assert.match(textOf(reply), /英検2級/);
+
+  [reply] = await user.say('韓国語にして');
+  assert.match(textOf(reply), /회의를 조금 늦출 수 있을까요/);
+
+  // 文体を変えても同じ言語のまま作り直す
+  [reply] = await user.tap('😊 カジュアルに');
+  assert.match(textOf(reply), /🇯🇵 → 🇰🇷 韓国語訳/);
+
+  const record = await user.record();
+  assert.equal(record.target_language, 'en');
+  assert.equal(record.last_target_language, 'ko');
+
+  // 続けて書いた文はその文を訳す
+  [reply] = await user.say('韓国語にして 明日は休みです');
+  assert.match(textOf(reply), /🇯🇵 → 🇰🇷 韓国語訳/);
+  assert.match(textOf(reply), /明日は休みです/);
+
+  [reply] = await user.say('明日は休みです');
+  assert.match(textOf(reply), /🇯🇵 → 🇺🇸 英訳/);
+});
+
+test('「○○語にして」に区切りなしで続く文はコマンドにせず、そのまま訳す', async () => {
+  const user = harness.createUser();
+
+  for (const text of ['英語にしてほしい', '韓国語にしてくれますか']) {
+    const [reply] = await user.say(text);
+    assert.match(textOf(reply), /🇯🇵 → 🇺🇸 英訳/);
+
+    const record = await user.record();
+    assert.equal(record.last_source_ja, text);
+    assert.equal(record.last_target_language, 'en');
+  }
+
+  // コロン区切りはコマンド
+  const [reply] = await user.say('韓国語にして：明日は休みです');
+  assert.match(textOf(reply), /🇯🇵 → 🇰🇷 韓国語訳/);
+  assert.equal((await user.record()).last_source_ja, '明日は休みです');
+});
+
+test('和訳で入った単語は、出てきた文の言語といっしょに見返せる', async () => {
+  const user = harness.createUser();
+  await user.say('회의를 조금 늦출 수 있을까요?');
+
+  await user.say('単語帳');
+  let [reply] = await user.tap('①');
+  assert.match(textOf(reply), /💬 出てきた韓国語の文/);
+
+  [reply] = await user.say('復習');
+  assert.match(textOf(reply), /💬 出てきた韓国語の文\n회의를/);
+});
+
+test('グループでもトークの翻訳先と「○○語にして」が使える', async () => {
+  const group = harness.createGroup();
+  await group.join();
+
+  let [reply] = await group.say('訳: 韓国語にして 明日は休みです');
+  assert.equal(textOf(reply), '🇰🇷 회의를 조금 늦출 수 있을까요?');
+
+  [reply] = await group.say('訳: 韓国語にして');
+  assert.match(textOf(reply), /「訳: 韓国語にして 明日は休みです」のように続けて書いてください/);
+
+  [reply] = await group.say('訳: 明日は休みです');
+  assert.match(textOf(reply), /^🇺🇸 Could we move the meeting/);
+
+  await group.say('訳: 設定');
+  [reply] = await group.tap('🇰🇷 韓国語に');
+  assert.match(textOf(reply), /翻訳先：韓国語/);
+  assert.equal((await group.settings()).target_language, 'ko');
+
+  [reply] = await group.say('訳: 明日は休みです');
+  assert.equal(textOf(reply), '🇰🇷 회의를 조금 늦출 수 있을까요?');
+});
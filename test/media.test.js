@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// OCR のフィクスチャは画像の MIME タイプで出し分ける
+process.env.LLM_MOCK_FIXTURES = path.join(__dirname, 'fixtures', 'llm-media.json');
+// fake の文字起こしは音声の中身によらずこの文を返す
+process.env.STT_FAKE_TEXT = '会議を少し遅らせてもいいですか';
+process.env.PUBLIC_BASE_URL = 'https://bot.example.com/';
+
+const harness = require('./harness');
+const { ttsCache } = require('../index');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+test('画像は実際の Content-Type のまま読み取り、読み取った文字を訳す', async () => {
+  const user = harness.createUser();
+
+  const messages = await user.sendImage(PNG, 'image/png');
+  assert.equal(messages.length, 2);
+  assert.match(textOf(messages[0]), /📷 画像から読み取った文字：\nCould you reschedule the meeting\?/);
+  assert.match(textOf(messages[1]), /会議を少し遅い時間にずらせますか/);
+
+  const record = await user.record();
+  assert.equal(record.last_source_en, 'Could you reschedule the meeting?');
+  assert.equal(record.usage_day_count, 1);
+});
+
+test('文字のない画像・読み取れなかった画像はそう伝え、利用回数に数えない', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.sendImage(Buffer.from('ffd8ffe0', 'hex'), 'image/jpeg; charset=binary');
+  assert.match(textOf(reply), /画像から文字を読み取れませんでした/);
+
+  [reply] = await user.sendImage(Buffer.from('47494638', 'hex'), 'image/gif');
+  assert.match(textOf(reply), /画像の読み取りに失敗しました/);
+
+  assert.equal((await user.record()).usage_day_count, undefined);
+});
+
+test('音声は聞き取った内容を見せてから訳す', async () => {
+  const user = harness.createUser();
+
+  const messages = await user.sendAudio(Buffer.from('0000001c66747970', 'hex'));
+  assert.equal(messages.length, 2);
+  assert.match(textOf(messages[0]), /🎤 聞き取った内容：\n会議を少し遅らせてもいいですか/);
+  assert.match(textOf(messages[1]), /Could we move the meeting/);
+
+  const record = await user.record();
+  assert.equal(record.last_source_ja, '会議を少し遅らせてもいいですか');
+  assert.equal(record.usage_day_count, 1);
+});
+
+test('読み上げは英文の音声を返し、利用回数に数える', async () => {
+  const user = harness.createUser();
+
+  const [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.ok(quickReplyLabels(reply).includes('🔊 読み上げ'));
+
+  const [audio] = await user.tap('🔊 読み上げ');
+  assert.equal(audio.type, 'audio');
+  assert.ok(audio.duration > 1000, `duration: ${audio.duration}`);
+
+  const url = new URL(audio.originalContentUrl);
+  assert.equal(url.origin, 'https://bot.example.com');
+  assert.match(url.pathname, /^\/tts\/[0-9a-f]{64}\.mp3$/);
+
+  const res = await harness.get(url.pathname);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+  assert.ok((await res.arrayBuffer()).byteLength > 0);
+
+  assert.equal((await user.record()).usage_day_count, 2);
+});
+
+test('読み上げ音声がキャッシュから消えても、残しておいた文と声から作り直して配信する', async () => {
+  const user = harness.createUser();
+  await user.say('会議を少し遅らせてもいいですか');
+  const [audio] = await user.tap('🔊 読み上げ');
+  const { pathname } = new URL(audio.originalContentUrl);
+
+  // 追い出し・再起動・別のインスタンスに届いたときと同じ状態にする
+  ttsCache.clear();
+
+  const res = await harness.get(pathname);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'audio/mpeg');
+  assert.ok((await res.arrayBuffer()).byteLength > 0);
+
+  const missing = await harness.get(`/tts/${'0'.repeat(64)}.mp3`);
+  assert.equal(missing.status, 404);
+});
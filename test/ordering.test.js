@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+before(harness.start);
+after(harness.stop);
+
+function textEvent(userId, text, timestamp) {
+  return harness.buildEvent('text-message', userId, (event) => {
+    event.message.text = text;
+    event.timestamp = timestamp;
+  });
+}
+
+function repliesTo(before, event) {
+  return harness.lineClient.sent
+    .slice(before)
+    .filter((entry) => entry.type === 'reply' && entry.to === event.replyToken);
+}
+
+test('同じ webhookEventId の再送は 1 回しか処理しない', async () => {
+  const user = harness.createUser();
+  const event = textEvent(user.userId, '会議を少し遅らせてもいいですか', Date.now());
+  const redelivery = {
+    ...structuredClone(event),
+    deliveryContext: { isRedelivery: true },
+  };
+
+  const before = harness.lineClient.sent.length;
+  assert.equal((await harness.postEvents([event, event])).status, 200);
+  assert.equal((await harness.postEvents([redelivery])).status, 200);
+  await harness.jobQueue.drain();
+
+  assert.equal(repliesTo(before, event).length, 1);
+  assert.equal((await user.record()).usage_day_count, 1);
+});
+
+test('同じユーザーのイベントは発生時刻の順に 1 件ずつ処理する', async () => {
+  const user = harness.createUser();
+  const now = Date.now();
+  const first = textEvent(user.userId, 'おはようございます', now);
+  const second = textEvent(user.userId, '会議を少し遅らせてもいいですか', now + 1);
+
+  const before = harness.lineClient.sent.length;
+  // 届いた順と発生時刻の順が逆
+  assert.equal((await harness.postEvents([second, first])).status, 200);
+  await harness.jobQueue.drain();
+
+  const replies = harness.lineClient.sent
+    .slice(before)
+    .filter((entry) => entry.type === 'reply')
+    .map((entry) => entry.to);
+  assert.deepEqual(replies, [first.replyToken, second.replyToken]);
+
+  // 後から来たメッセージの内容で上書きされ、利用回数も 2 回分数えられる
+  const record = await user.record();
+  assert.equal(record.last_source_ja, '会議を少し遅らせてもいいですか');
+  assert.equal(record.usage_day_count, 2);
+});
+
+test('別々のユーザーのイベントはそれぞれ処理される', async () => {
+  const alice = harness.createUser();
+  const bob = harness.createUser();
+  const now = Date.now();
+  const events = [
+    textEvent(alice.userId, 'おはようございます', now),
+    textEvent(bob.userId, 'おはようございます', now),
+    textEvent(alice.userId, '会議を少し遅らせてもいいですか', now + 1),
+  ];
+
+  const before = harness.lineClient.sent.length;
+  assert.equal((await harness.postEvents(events)).status, 200);
+  await harness.jobQueue.drain();
+
+  events.forEach((event) => assert.equal(repliesTo(before, event).length, 1));
+  assert.equal((await alice.record()).usage_day_count, 2);
+  assert.equal((await bob.record()).usage_day_count, 1);
+});
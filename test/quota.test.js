@@ -0,0 +1,154 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+const { textOf } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+const today = () => new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Tokyo' });
+
+// 今日の利用回数を直接書き換えて上限の手前まで進める
+async function useUp(user, dayCount) {
+  await user.say('設定');
+  await harness.repo.updateUser(user.userId, {
+    usage_day: today(),
+    usage_day_count: dayCount,
+    usage_month: today().slice(0, 7),
+    usage_month_count: dayCount,
+  });
+}
+
+test('設定などのコマンドは回数に数えない', async () => {
+  const user = harness.createUser();
+  await user.say('設定');
+  await user.say('ヘルプ');
+
+  const record = await user.record();
+  assert.equal(record.usage_day_count, undefined);
+});
+
+test('LLM や読み上げを呼ばずに返す入力は回数に数えない', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('👍 123');
+  assert.match(textOf(reply), /サポートしています/);
+  [reply] = await user.say('読み上げ');
+  assert.match(textOf(reply), /英文を作ってから読み上げてみてください/);
+  [reply] = await user.say('この英文でOK');
+  assert.match(textOf(reply), /英文を作ってから選んでください/);
+  [reply] = await user.say('韓国語にして');
+  assert.match(textOf(reply), /続けて書いてください/);
+  [reply] = await user.postback({ action: 'change_tone', tone: 'business' });
+  assert.match(textOf(reply), /文体を変えてみてください/);
+
+  // 混在文はどちらに訳すか聞くだけ。選んで訳したときに 1 回数える
+  [reply] = await user.say('この meeting を reschedule したい');
+  assert.match(textOf(reply), /どちらで扱うか選んでください/);
+  assert.equal((await user.record()).usage_day_count, undefined);
+
+  await user.postback({ action: 'translate_mixed', to: 'en' });
+  assert.equal((await user.record()).usage_day_count, 1);
+});
+
+test('上限に達していたら画像を読み取らずにお知らせを返す', async () => {
+  const user = harness.createUser();
+  await useUp(user, 20);
+
+  const [reply] = await user.sendImage(Buffer.from('ffd8ffe0', 'hex'));
+  assert.match(textOf(reply), /今日の翻訳回数の上限（20回）に達しました/);
+});
+
+test('上限が近づくと残り回数を添える', async () => {
+  const user = harness.createUser();
+  await useUp(user, 16);
+
+  const messages = await user.say('会議を少し遅らせてもいいですか');
+  assert.equal(messages.length, 2);
+  assert.match(textOf(messages[0]), /今日の翻訳はのこり 3 回です/);
+  assert.match(textOf(messages[1]), /Could we move the meeting/);
+  assert.equal((await user.record()).usage_day_count, 17);
+});
+
+test('上限に達したら翻訳せずにお知らせだけ返す', async () => {
+  const user = harness.createUser();
+  await useUp(user, 20);
+
+  const [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /今日の翻訳回数の上限（20回）に達しました/);
+  assert.equal((await user.record()).usage_day_count, 20);
+});
+
+test('管理者が追加回数を付与すると上限を超えて使える', async () => {
+  const user = harness.createUser();
+  await useUp(user, 20);
+
+  const res = await harness.adminRequest('POST', '/admin/quota-grants', {
+    lineUserId: user.userId,
+    amount: 2,
+    days: 3,
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).bonusQuota, 2);
+
+  const messages = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(messages[0]), /追加でもらった回数を使いました（のこり 1 回）/);
+  assert.match(textOf(messages[1]), /Could we move the meeting/);
+  assert.equal((await user.record()).bonus_quota, 1);
+});
+
+test('付与日数が 0 以下の追加回数は 400 で断る', async () => {
+  const user = harness.createUser();
+  await user.say('設定');
+
+  for (const days of [-5, 0, 'abc']) {
+    const res = await harness.adminRequest('POST', '/admin/quota-grants', {
+      lineUserId: user.userId,
+      amount: 2,
+      days,
+    });
+    assert.equal(res.status, 400);
+  }
+  assert.equal((await user.record()).bonus_quota || 0, 0);
+});
+
+test('管理用エンドポイントはシークレットがないと使えない', async () => {
+  const res = await harness.adminRequest(
+    'POST',
+    '/admin/quota-grants',
+    { lineUserId: 'Uanyone', amount: 100 },
+    { secret: 'wrong-secret' }
+  );
+  assert.equal(res.status, 401);
+});
+
+test('グループの翻訳はトーク全体で数え、上限に達したら自動翻訳は黙る', async () => {
+  const group = harness.createGroup();
+
+  let [reply] = await group.say('訳: 会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /🇺🇸 Could we move the meeting/);
+  await group.say('訳: 明日は休みです', { from: 'Umember0002' });
+
+  let settings = await group.settings();
+  assert.equal(settings.usage_day_count, 2);
+
+  await harness.repo.updateGroupSettings(group.groupId, {
+    translate_mode: 'auto',
+    usage_day: today(),
+    usage_day_count: 100,
+    usage_month: today().slice(0, 7),
+    usage_month_count: 100,
+  });
+
+  // 自動翻訳は上限に達したら何も返さない
+  assert.deepEqual(await group.say('会議を少し遅らせてもいいですか'), []);
+
+  // 呼ばれたときはお知らせを返す
+  [reply] = await group.say('訳: 会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /このトークの今日の翻訳回数の上限（100回）に達しました/);
+
+  settings = await group.settings();
+  assert.equal(settings.usage_day_count, 100);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// 元のメールの文がプロンプトに入っていないとフィクスチャが見つからずに失敗する
+process.env.LLM_MOCK_FIXTURES = path.join(__dirname, 'fixtures', 'llm-reply.json');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+const CLIENT_EMAIL =
+  'Dear Taro,\n\nThank you for the update.\n' +
+  'Could you let us know your availability next week?\n\nBest regards,\nEmma Brown';
+
+test('和訳のあとに返信を作ると、元のメールを踏まえた返信を件名と本文に分けて返す', async () => {
+  const user = harness.createUser();
+  await user.say('差出人:Taro Yamada');
+
+  let [reply] = await user.say(CLIENT_EMAIL);
+  assert.ok(quickReplyLabels(reply).includes('↩️ 返信を作る'));
+
+  [reply] = await user.tap('↩️ 返信を作る');
+  assert.match(textOf(reply), /返信で伝えたいこと/);
+  assert.ok((await user.record()).pending_reply_at);
+
+  const messages = await user.say('来週の火曜なら大丈夫です');
+  assert.equal(messages.length, 3);
+  const [intro, subject, body] = messages;
+  assert.match(textOf(intro), /返信を作りました/);
+  assert.equal(textOf(subject), 'Re: Project schedule');
+  assert.match(textOf(body), /^Dear Ms\. Brown,/);
+  assert.match(textOf(body), /> Could you let us know your availability next week\?/);
+  assert.match(textOf(body), /Best regards,\nTaro Yamada$/);
+
+  const record = await user.record();
+  assert.equal(record.last_mode, 'EMAIL_REPLY');
+  assert.equal(record.pending_reply_at, null);
+
+  // 文体を変えても返信のまま作り直す
+  const redone = await user.tap('💼 ビジネスに');
+  assert.match(textOf(redone[0]), /返信を作りました（ビジネス/);
+
+  // 返信を作ったあとの日本語はいつもどおり翻訳する
+  [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /🇯🇵 → 🇺🇸 英訳/);
+});
+
+test('チャットへの返信は件名・署名なしの本文だけにする', async () => {
+  const user = harness.createUser();
+  await user.say('差出人:Taro Yamada');
+  await user.say('Are you free for lunch?');
+  await user.tap('↩️ 返信を作る');
+
+  const messages = await user.say('火曜なら行けます');
+  assert.equal(messages.length, 2);
+  assert.equal(textOf(messages[1]), 'Sure, Tuesday works!');
+});
+
+test('「やめる」で返信を作るのを取り消せる', async () => {
+  const user = harness.createUser();
+  await user.say(CLIENT_EMAIL);
+  await user.tap('↩️ 返信を作る');
+
+  let [reply] = await user.tap('やめる');
+  assert.match(textOf(reply), /返信を作るのをやめました/);
+
+  [reply] = await user.say('会議を少し遅らせてもいいですか');
+  assert.match(textOf(reply), /🇯🇵 → 🇺🇸 英訳/);
+});
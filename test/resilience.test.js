@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.LLM_MOCK_FIXTURES = path.join(__dirname, 'fixtures', 'llm-failures.json');
+process.env.AI_RETRY_BASE_MS = '1';
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+test('一時的な失敗はやり直しで吸収する', async () => {
+  const user = harness.createUser();
+
+  // 1 回目だけ失敗するので、やり直しで成功した英文がそのまま届く
+  const [reply] = await user.say('一度だけ失敗する文です');
+  assert.match(textOf(reply), /Could we move the meeting/);
+
+  const record = await user.record();
+  assert.equal(record.pending_retry ?? null, null);
+  assert.equal(record.usage_day_count, 1);
+});
+
+test('やり直しても失敗が続いたら謝って「もう一度」を出し、押しても二重に数えない', async () => {
+  const user = harness.createUser();
+
+  // 最初の 3 回（1 回目 + やり直し 2 回）は失敗するので、謝って「もう一度」を出す
+  let [reply] = await user.say('少しだけ失敗する文です');
+  assert.match(textOf(reply), /うまく処理できませんでした/);
+  assert.equal(quickReplyLabels(reply)[0], '🔄 もう一度');
+
+  let record = await user.record();
+  assert.equal(record.pending_retry.message.text, '少しだけ失敗する文です');
+  assert.equal(record.usage_day_count, 1);
+
+  // 「もう一度」で同じ入力をやり直す。利用回数は最初の 1 回分のまま
+  [reply] = await user.tap('🔄 もう一度');
+  assert.match(textOf(reply), /Could we move the meeting/);
+
+  record = await user.record();
+  assert.equal(record.pending_retry, null);
+  assert.equal(record.usage_day_count, 1);
+});
+
+test('400 系の失敗はやり直さない', async () => {
+  const user = harness.createUser();
+
+  // やり直していれば 2 回目は成功するはずなので、失敗の返信になっていればやり直していない
+  let [reply] = await user.say('不正な依頼の文です');
+  assert.match(textOf(reply), /うまく処理できませんでした/);
+
+  [reply] = await user.tap('🔄 もう一度');
+  assert.match(textOf(reply), /Could we move the meeting/);
+});
+
+test('やり直しても失敗した呼び出しも利用量に失敗として残す', async () => {
+  const user = harness.createUser();
+  await user.say('グループで失敗する文です');
+  await user.say('会議を少し遅らせてもいいですか');
+
+  const res = await harness.adminRequest('GET', '/admin/usage?groupBy=line_user_id');
+  const group = (await res.json()).groups.find((g) => g.key === user.userId);
+  assert.equal(group.calls, 2);
+  assert.equal(group.errors, 1);
+});
+
+test('接続が切れたときはやり直し、ステータスのない不具合はやり直さない', async () => {
+  const user = harness.createUser();
+
+  let [reply] = await user.say('通信が切れる文です');
+  assert.match(textOf(reply), /Could we move the meeting/);
+
+  // TypeError のようなプログラムの不具合は何度呼んでも同じなので、すぐに謝る
+  [reply] = await user.say('プログラムの不具合が起きる文です');
+  assert.match(textOf(reply), /うまく処理できませんでした/);
+
+  [reply] = await user.tap('🔄 もう一度');
+  assert.match(textOf(reply), /Could we move the meeting/);
+});
+
+test('グループの自動翻訳で失敗しても黙り、呼ばれたときだけ謝る', async () => {
+  const group = harness.createGroup();
+  await group.join();
+  await group.tap('▶ 自動翻訳ON');
+
+  assert.deepEqual(await group.say('グループで失敗する文です'), []);
+
+  const [reply] = await group.say('訳: グループで失敗する文です');
+  assert.match(textOf(reply), /うまく処理できませんでした/);
+  assert.equal(quickReplyLabels(reply).includes('🔄 もう一度'), false);
+});
+
+test('失敗が続くとしばらく AI を呼ばずに混み合っていると伝える', async () => {
+  const user = harness.createUser();
+
+  for (let i = 0; i < 5; i++) {
+    const [reply] = await user.say('ずっと失敗する文です');
+    assert.match(textOf(reply), /うまく処理できませんでした/);
+  }
+
+  const [reply] = await user.say('普通の文です');
+  assert.match(textOf(reply), /混み合っています/);
+  assert.ok(quickReplyLabels(reply).includes('🔄 もう一度'));
+});
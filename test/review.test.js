@@ -0,0 +1,91 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+const { clock, scheduleNextReview } = require('../index');
+
+const { textOf } = harness;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const realNow = clock.now;
+
+before(harness.start);
+after(harness.stop);
+afterEach(() => {
+  clock.now = realNow;
+});
+
+test('覚えたを続けると間隔が 1 日 → 6 日 → 前回×ease と伸び、ease も上がる', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  let card = { ease: 2.5, interval_days: 0, repetitions: 0 };
+
+  const intervals = [];
+  const eases = [];
+  for (let i = 0; i < 4; i++) {
+    card = scheduleNextReview(card, '覚えた', now);
+    intervals.push(card.interval_days);
+    eases.push(card.ease);
+  }
+
+  assert.deepEqual(intervals, [1, 6, 16, 45]);
+  assert.deepEqual(eases, [2.6, 2.7, 2.8, 2.9]);
+  assert.equal(card.repetitions, 4);
+  assert.equal(card.due_at, new Date(now.getTime() + 45 * DAY_MS).toISOString());
+  assert.equal(card.last_reviewed_at, now.toISOString());
+});
+
+test('あいまいは間隔を伸ばしつつ ease を下げ、下限より下げない', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+
+  let card = scheduleNextReview({ ease: 2.5, interval_days: 6, repetitions: 2 }, 'あいまい', now);
+  assert.equal(card.interval_days, 15);
+  assert.equal(card.ease, 2.36);
+  assert.equal(card.repetitions, 3);
+
+  card = scheduleNextReview({ ease: 1.3, interval_days: 1, repetitions: 1 }, 'あいまい', now);
+  assert.equal(card.ease, 1.3);
+});
+
+test('忘れたら翌日から数え直し、ease は変えない', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const card = scheduleNextReview({ ease: 2.8, interval_days: 16, repetitions: 3 }, '忘れた', now);
+
+  assert.equal(card.interval_days, 1);
+  assert.equal(card.repetitions, 0);
+  assert.equal(card.ease, 2.8);
+  assert.equal(card.due_at, new Date(now.getTime() + DAY_MS).toISOString());
+
+  assert.throws(() => scheduleNextReview(card, 'たぶん', now), /Unknown review grade/);
+});
+
+test('和訳で入った単語を復習すると、差し替えた時計で次の出番が決まる', async () => {
+  const start = new Date('2026-03-01T09:00:00Z');
+  clock.now = () => start;
+
+  const user = harness.createUser();
+  await user.say('Could you reschedule the meeting?');
+
+  let [reply] = await user.say('復習');
+  assert.match(textOf(reply), /reschedule/);
+
+  [reply] = await user.tap('👀 答えを見る');
+  assert.match(textOf(reply), /予定を組み直す/);
+
+  [reply] = await user.tap('⭕ 覚えた');
+  assert.match(textOf(reply), /「reschedule」は 1 日後にまた出します/);
+  assert.match(textOf(reply), /いま復習する単語はもうありません/);
+
+  const [card] = await harness.repo.listVocabulary(user.userId, { offset: 0, limit: 10 });
+  assert.equal(card.repetitions, 1);
+  assert.equal(card.ease, 2.6);
+  assert.equal(card.due_at, new Date(start.getTime() + DAY_MS).toISOString());
+
+  // 次の日までは出てこない
+  clock.now = () => new Date(start.getTime() + DAY_MS - 1);
+  [reply] = await user.say('復習');
+  assert.match(textOf(reply), /いま復習する単語はありません/);
+
+  clock.now = () => new Date(start.getTime() + DAY_MS);
+  [reply] = await user.say('復習');
+  assert.match(textOf(reply), /reschedule/);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// 永続キャッシュ（メモリのリポジトリ上の translation_cache）も通す
+process.env.TRANSLATION_CACHE_PERSISTENT = 'true';
+
+const harness = require('./harness');
+
+before(harness.start);
+after(harness.stop);
+
+async function callsByFeature() {
+  const res = await harness.adminRequest('GET', '/admin/usage?groupBy=feature');
+  return Object.fromEntries((await res.json()).groups.map((g) => [g.key, g.calls]));
+}
+
+// fn の間に増えた機能ごとの呼び出し回数
+async function countCalls(fn) {
+  const before = await callsByFeature();
+  await fn();
+  const after = await callsByFeature();
+  return Object.fromEntries(
+    Object.keys(after).map((feature) => [feature, after[feature] - (before[feature] || 0)])
+  );
+}
+
+test('同じ文・同じ設定なら LLM を呼ばずに前回の結果を使う', async () => {
+  let reply;
+  const calls = await countCalls(async () => {
+    await harness.createUser().say('明日の打ち合わせは10時からです');
+    // 前後の空白や全角数字の違いは同じ文として扱う
+    [reply] = await harness.createUser().say('  明日の打ち合わせは１０時からです ');
+  });
+
+  assert.match(harness.textOf(reply), /Could we move the meeting/);
+  assert.equal(calls.JA_TO_EN, 1);
+  assert.equal(harness.repo.tables.translation_cache.length, 1);
+});
+
+test('文体を行き来しても一度作った文体は作り直さない', async () => {
+  const user = harness.createUser();
+  const calls = await countCalls(async () => {
+    await user.say('資料を送ってください');
+    await user.tap('😊 カジュアルに');
+    await user.tap('🙂 丁寧に');
+    await user.tap('😊 カジュアルに');
+  });
+
+  // 最初の丁寧（既定）で 1 回、カジュアルで 1 回だけ。丁寧に戻すときは最初の結果を使う
+  assert.equal(calls.JA_TO_EN, 1);
+  assert.equal(calls.TONE_CHANGE, 1);
+});
+
+test('「別の言い方」はキャッシュを使わずに作り直す', async () => {
+  const user = harness.createUser();
+  await user.say('資料を送ってください');
+
+  let reply;
+  const calls = await countCalls(async () => {
+    [reply] = await user.tap('🔁 別の言い方');
+  });
+  assert.match(harness.textOf(reply), /Could we move the meeting/);
+  assert.equal(calls.REPHRASE, 1);
+});
+
+test('和訳もキャッシュする', async () => {
+  const calls = await countCalls(async () => {
+    await harness.createUser().say('See you at the station.');
+    await harness.createUser().say('See you at the station.');
+  });
+  assert.equal(calls.EN_TO_JA, 1);
+});
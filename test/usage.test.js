@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+before(harness.start);
+after(harness.stop);
+
+test('AI の呼び出しごとに機能とユーザーで利用量を集計できる', async () => {
+  const user = harness.createUser();
+  await user.say('会議を少し遅らせてもいいですか');
+  await user.tap('💼 ビジネスに');
+  await user.say('Could you reschedule the meeting?');
+
+  let res = await harness.adminRequest('GET', '/admin/usage?groupBy=feature');
+  assert.equal(res.status, 200);
+  const byFeature = Object.fromEntries((await res.json()).groups.map((g) => [g.key, g.calls]));
+  assert.deepEqual(byFeature, { JA_TO_EN: 1, TONE_CHANGE: 1, EN_TO_JA: 1 });
+
+  res = await harness.adminRequest('GET', '/admin/usage?groupBy=line_user_id');
+  const [byUser] = (await res.json()).groups;
+  assert.equal(byUser.key, user.userId);
+  assert.equal(byUser.calls, 3);
+
+  res = await harness.adminRequest('GET', '/admin/usage?groupBy=tone');
+  const byTone = Object.fromEntries((await res.json()).groups.map((g) => [g.key, g.calls]));
+  assert.equal(byTone.business, 1);
+});
+
+test('集計の軸が不正なら 400 を返す', async () => {
+  const res = await harness.adminRequest('GET', '/admin/usage?groupBy=prompt');
+  assert.equal(res.status, 400);
+});
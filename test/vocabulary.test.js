@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+const { textOf, quickReplyLabels } = harness;
+
+before(harness.start);
+after(harness.stop);
+
+const TERMS = [
+  ['deadline', '締め切り'],
+  ['agenda', '議題'],
+  ['follow up', '追って連絡する'],
+  ['postpone', '延期する'],
+  ['attendee', '出席者'],
+  ['minutes', '議事録'],
+  ['reschedule', '予定を組み直す'],
+];
+
+// 単語帳に直接入れる。あとのものほど新しい
+async function seedVocabulary(user) {
+  const base = Date.parse('2026-03-01T00:00:00Z');
+  await harness.repo.insertVocabulary(
+    TERMS.map(([term, meaning], i) => ({
+      line_user_id: user.userId,
+      term,
+      meaning_ja: meaning,
+      note_ja: '',
+      source_text: `We need to talk about the ${term}.`,
+      translation_id: null,
+      created_at: new Date(base + i * 60 * 1000).toISOString(),
+      ease: 2.5,
+      interval_days: 0,
+      repetitions: 0,
+      due_at: new Date(base).toISOString(),
+    }))
+  );
+}
+
+test('単語帳が空なら和訳で単語がたまることを伝える', async () => {
+  const user = harness.createUser();
+
+  const [reply] = await user.say('単語帳');
+  assert.match(textOf(reply), /まだ単語帳に単語がありません/);
+});
+
+test('単語帳は 5 語ずつ新しい順に出し、前後のページに移れる', async () => {
+  const user = harness.createUser();
+  await user.say('設定');
+  await seedVocabulary(user);
+
+  let [reply] = await user.say('単語帳');
+  assert.match(textOf(reply), /単語帳（1ページ目）/);
+  assert.match(textOf(reply), /① reschedule: 予定を組み直す/);
+  assert.doesNotMatch(textOf(reply), /deadline/);
+  assert.ok(quickReplyLabels(reply).includes('古い単語 ▶'));
+
+  [reply] = await user.tap('古い単語 ▶');
+  assert.match(textOf(reply), /単語帳（2ページ目）/);
+  assert.match(textOf(reply), /① agenda/);
+  assert.match(textOf(reply), /② deadline/);
+  assert.ok(!quickReplyLabels(reply).includes('古い単語 ▶'));
+  assert.ok(quickReplyLabels(reply).includes('◀ 新しい単語'));
+
+  [reply] = await user.postback({ action: 'vocab_page', page: 3 });
+  assert.match(textOf(reply), /これより前の単語はありません/);
+});
+
+test('単語検索は単語と意味の両方から探し、見つからなければそう伝える', async () => {
+  const user = harness.createUser();
+  await user.say('設定');
+  await seedVocabulary(user);
+
+  let [reply] = await user.say('単語検索:SCHED');
+  assert.match(textOf(reply), /単語帳の検索結果「SCHED」/);
+  assert.match(textOf(reply), /reschedule/);
+  assert.doesNotMatch(textOf(reply), /deadline/);
+
+  [reply] = await user.say('単語検索:議');
+  assert.match(textOf(reply), /minutes: 議事録/);
+  assert.match(textOf(reply), /agenda: 議題/);
+
+  [reply] = await user.say('単語検索:budget');
+  assert.match(textOf(reply), /「budget」に当てはまる単語は単語帳にありませんでした/);
+});
+
+test('単語を開いて削除でき、もうない単語の削除にはそう答える', async () => {
+  const user = harness.createUser();
+  await user.say('設定');
+  await seedVocabulary(user);
+
+  await user.say('単語検索:postpone');
+  let [reply] = await user.tap('①');
+  assert.match(textOf(reply), /📒 postpone/);
+  assert.match(textOf(reply), /We need to talk about the postpone\./);
+
+  const deleteItem = reply.quickReply.items.find((i) => i.action.label === '🗑 削除する');
+  [reply] = await user.tap('🗑 削除する');
+  assert.match(textOf(reply), /「postpone」を単語帳から削除しました/);
+
+  [reply] = await user.say('単語検索:postpone');
+  assert.match(textOf(reply), /当てはまる単語は単語帳にありませんでした/);
+
+  // 同じボタンをもう一度押したとき・存在しない ID のとき
+  [reply] = await user.postback(deleteItem.action.data);
+  assert.match(textOf(reply), /その単語はもう単語帳にありません/);
+  [reply] = await user.postback({ action: 'vocab_delete', id: 999999 });
+  assert.match(textOf(reply), /その単語はもう単語帳にありません/);
+});
+
+test('ほかの人の単語は開けず、消せない', async () => {
+  const owner = harness.createUser();
+  await owner.say('設定');
+  await seedVocabulary(owner);
+  const [entry] = await harness.repo.listVocabulary(owner.userId, {
+    offset: 0,
+    limit: 1,
+    keyword: '',
+  });
+
+  const other = harness.createUser();
+  await other.say('設定');
+  let [reply] = await other.postback({ action: 'vocab_view', id: entry.id });
+  assert.match(textOf(reply), /その単語は単語帳に見つかりませんでした/);
+  [reply] = await other.postback({ action: 'vocab_delete', id: entry.id });
+  assert.match(textOf(reply), /その単語はもう単語帳にありません/);
+
+  assert.ok(await harness.repo.getVocabulary(owner.userId, entry.id));
+});
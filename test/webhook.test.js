@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+
+before(harness.start);
+after(harness.stop);
+
+test('署名が合わないリクエストは処理せずに弾く', async () => {
+  const before = harness.lineClient.sent.length;
+  const event = harness.buildEvent('text-message', 'Usignature', (e) => {
+    e.message.text = 'こんにちは';
+  });
+
+  const res = await harness.postEvents([event], {
+    signature: harness.sign('tampered', 'wrong-secret'),
+  });
+
+  assert.notEqual(res.status, 200);
+  assert.equal(harness.lineClient.sent.length, before);
+});
+
+test('イベントが空なら 200 で何も返さない', async () => {
+  const before = harness.lineClient.sent.length;
+  const res = await harness.postEvents([]);
+
+  assert.equal(res.status, 200);
+  assert.equal(harness.lineClient.sent.length, before);
+});
+
+test('正しく署名されたイベントには replyToken 宛てに返信する', async () => {
+  const user = harness.createUser();
+  const [reply] = await user.say('ヘルプ');
+
+  assert.ok(reply);
+  assert.equal(reply.type, 'text');
+  assert.ok(harness.quickReplyLabels(reply).length > 0);
+});